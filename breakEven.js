@@ -0,0 +1,134 @@
+// Break-even analysis that respects the booked fare mix and each class's seat capacity.
+// Seats are added in the same economy/business/first proportions as the bookings until their
+// fares cover the flight's costs per flight plus the costs of the passengers carried.
+
+// Import required modules
+const { CABIN_CLASSES } = require("./schemas");
+const { DEFAULT_CURRENCY, formatMoney } = require("./currency");
+const { sumCosts, costBreakdown } = require("./costs");
+
+// Analyse break-even for a flight record on an aircraft, given its costs from costs.flightCosts.
+// When a target load factor (0-1) is given, also works out the minimum fares that break even at that load.
+function analyseBreakEven(flight, aircraft, costs, targetLoadFactor = null) {
+    const classes = CABIN_CLASSES.map(({ name, seatsField, priceField }) => ({
+        name,
+        booked: flight[seatsField],
+        capacity: aircraft[seatsField],
+        fare: flight[priceField],
+    }));
+    const bookedSeats = classes.reduce((sum, c) => sum + c.booked, 0);
+    const capacity = classes.reduce((sum, c) => sum + c.capacity, 0);
+    const income = classes.reduce((sum, c) => sum + c.booked * c.fare, 0);
+    const cost = costBreakdown(costs, bookedSeats).total;
+
+    const analysis = {
+        cost,
+        averageFare: bookedSeats > 0 ? income / bookedSeats : 0,
+        breakEvenSeats: null,
+        breakEvenLoadFactor: null,
+        seatsByClass: null,
+        feasible: false,
+        reason: null,
+        targetFares: targetLoadFactor === null ? null : minimumFaresAtLoad(classes, costs, targetLoadFactor),
+    };
+
+    if (income <= 0) {
+        analysis.reason = "No fare income is booked, so the cost can never be recovered at this fare mix.";
+        return analysis;
+    }
+
+    // The per-seat model has no per-flight costs, so it recovers the booked seats' cost as it always has
+    const fixedCost = costs.model === "per-seat" ? cost : sumCosts(costs.perFlight);
+    const marginPerSeat = analysis.averageFare - (costs.model === "per-seat" ? 0 : sumCosts(costs.perPassenger));
+    if (marginPerSeat <= 0) {
+        analysis.reason = "The average booked fare does not cover the charges per passenger, so more seats only add to the loss.";
+        return analysis;
+    }
+
+    // Seats needed at the mix-weighted average fare, shared out across classes in booking proportions
+    const breakEvenSeats = Math.ceil(fixedCost / marginPerSeat);
+    const seatsByClass = apportionSeats(breakEvenSeats, classes, bookedSeats);
+    const overCapacity = classes.filter((c) => seatsByClass[c.name] > c.capacity);
+
+    analysis.breakEvenSeats = breakEvenSeats;
+    analysis.breakEvenLoadFactor = capacity > 0 ? breakEvenSeats / capacity : null;
+    analysis.seatsByClass = seatsByClass;
+    analysis.feasible = overCapacity.length === 0;
+    if (!analysis.feasible) {
+        analysis.reason = overCapacity
+            .map((c) => `Break-even needs ${seatsByClass[c.name]} ${c.name} seats but the aircraft only has ${c.capacity}.`)
+            .join(" ");
+    }
+    return analysis;
+}
+
+// Share a number of seats out across classes in proportion to their bookings, so the shares add up to the total:
+// each class gets the whole seats of its share, and the seats left over go to the largest fractions (largest remainder)
+function apportionSeats(totalSeats, classes, bookedSeats) {
+    const shares = classes.map((c) => ({ name: c.name, exact: (totalSeats * c.booked) / bookedSeats }));
+    const seats = Object.fromEntries(shares.map(({ name, exact }) => [name, Math.floor(exact)]));
+    const leftOver = totalSeats - Object.values(seats).reduce((sum, count) => sum + count, 0);
+    [...shares]
+        .sort((a, b) => (b.exact - Math.floor(b.exact)) - (a.exact - Math.floor(a.exact)))
+        .slice(0, leftOver)
+        .forEach(({ name }) => seats[name]++);
+    return seats;
+}
+
+// Minimum fares per class, scaled from the current fares, that recover the cost when every class is filled to the target load
+function minimumFaresAtLoad(classes, costs, targetLoadFactor) {
+    const seats = Object.fromEntries(classes.map((c) => [c.name, Math.floor(c.capacity * targetLoadFactor)]));
+    const totalSeats = Object.values(seats).reduce((sum, count) => sum + count, 0);
+    const cost = costBreakdown(costs, totalSeats).total;
+    const incomeAtCurrentFares = classes.reduce((sum, c) => sum + seats[c.name] * c.fare, 0);
+
+    const result = { loadFactor: targetLoadFactor, seats, cost, fares: null, feasible: false, reason: null };
+    if (totalSeats === 0) {
+        result.reason = `No seats are sold at a ${(targetLoadFactor * 100).toFixed(0)}% load factor.`;
+        return result;
+    }
+
+    // Keep the current price ratios between classes; with no priced seats, charge every seat the same fare
+    const fares =
+        incomeAtCurrentFares > 0
+            ? classes.map((c) => [c.name, (c.fare * cost) / incomeAtCurrentFares])
+            : classes.map((c) => [c.name, seats[c.name] > 0 ? cost / totalSeats : 0]);
+    result.fares = Object.fromEntries(fares);
+    result.feasible = true;
+    return result;
+}
+
+// Format break-even analyses as a plain-text report
+function formatBreakEven(analyses) {
+    return analyses
+        .map(({ flight, ...analysis }) => {
+            const money = (amount) => formatMoney(amount, analysis.currency || DEFAULT_CURRENCY);
+            const lines = [`Flight from ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}:`];
+            lines.push(`  Cost to recover: ${money(analysis.cost)}, Average booked fare: ${money(analysis.averageFare)}`);
+            if (analysis.breakEvenSeats !== null) {
+                const seats = CABIN_CLASSES.filter(({ name, optional }) => !optional || analysis.seatsByClass[name] > 0)
+                    .map(({ name }) => `${name} ${analysis.seatsByClass[name]}`)
+                    .join(", ");
+                lines.push(`  Break-even: ${analysis.breakEvenSeats} seats (${(analysis.breakEvenLoadFactor * 100).toFixed(2)}% load) - ${seats}`);
+            }
+            if (!analysis.feasible) lines.push(`  Break-even impossible: ${analysis.reason}`);
+
+            const target = analysis.targetFares;
+            if (target && target.feasible) {
+                const fares = CABIN_CLASSES.filter(({ name }) => target.seats[name] > 0)
+                    .map(({ name }) => `${name} ${money(target.fares[name])}`)
+                    .join(", ");
+                lines.push(`  Minimum fares at ${(target.loadFactor * 100).toFixed(0)}% load: ${fares}`);
+            } else if (target) {
+                lines.push(`  Minimum fares: ${target.reason}`);
+            }
+            return lines.join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+module.exports = {
+    analyseBreakEven,
+    minimumFaresAtLoad,
+    formatBreakEven,
+};
@@ -0,0 +1,162 @@
+// Cabin layouts. Aircraft of one type can be fitted with different cabins, so each type can have named
+// layouts giving the seats and seat pitch of every class, premium economy included. A flight picks its layout
+// in the "Cabin layout" column; without one it has the seats listed for its type in the aircraft file.
+// Layouts can be compared on a flight's route: each carries the same demand, the flight's bookings per class,
+// up to its seats, so the comparison shows which cabin earns most from the passengers the route has.
+
+// Import required modules
+const { loadCsv, findRecord } = require("./csv");
+const { CABIN_CLASSES, CABIN_LAYOUT_SCHEMA } = require("./schemas");
+const { formatMoney } = require("./currency");
+
+// Load the cabin layout file and check it against the aircraft; returns null if it cannot be loaded or any row is invalid
+function loadCabinLayouts(filename, aircrafts) {
+    const rows = loadCsv(filename, CABIN_LAYOUT_SCHEMA);
+    if (!rows) return null;
+
+    const layouts = [];
+    let valid = true;
+    for (const row of rows) {
+        const where = `${filename}: ${row.aircraftType} layout "${row.layout}" ${row.cabinClass}`;
+        const aircraft = findRecord(aircrafts, "type", row.aircraftType);
+        const cabinClass = CABIN_CLASSES.find(({ name }) => name === row.cabinClass.toLowerCase());
+        if (!aircraft || !cabinClass || !(row.seats >= 0) || !(row.seatPitch === null || row.seatPitch > 0)) {
+            console.error(`${where}: Use a known aircraft type and class, at least 0 seats and a seat pitch above 0.`);
+            valid = false;
+            continue;
+        }
+
+        let layout = findLayout(layouts, aircraft.type, row.layout);
+        if (!layout) {
+            layout = {
+                aircraftType: aircraft.type,
+                name: row.layout,
+                seats: Object.fromEntries(CABIN_CLASSES.map(({ name }) => [name, 0])),
+                seatPitch: Object.fromEntries(CABIN_CLASSES.map(({ name }) => [name, null])),
+                classes: [],
+            };
+            layouts.push(layout);
+        }
+        if (layout.classes.includes(cabinClass.name)) {
+            console.error(`${where}: The class is listed more than once for the layout.`);
+            valid = false;
+            continue;
+        }
+        layout.classes.push(cabinClass.name);
+        layout.seats[cabinClass.name] = row.seats;
+        layout.seatPitch[cabinClass.name] = row.seatPitch;
+    }
+
+    const empty = layouts.filter((layout) => CABIN_CLASSES.every(({ name }) => layout.seats[name] === 0));
+    empty.forEach((layout) => console.error(`${filename}: ${layout.aircraftType} layout "${layout.name}" has no seats.`));
+    return valid && empty.length === 0 ? layouts.map(({ classes, ...layout }) => layout) : null;
+}
+
+// Find an aircraft type's layout by name, ignoring case
+function findLayout(layouts, aircraftType, name) {
+    const type = String(aircraftType).toUpperCase();
+    const wanted = String(name).toUpperCase();
+    return layouts.find((layout) => layout.aircraftType.toUpperCase() === type && layout.name.toUpperCase() === wanted) || null;
+}
+
+// Every layout of an aircraft type
+function layoutsFor(layouts, aircraftType) {
+    return layouts.filter((layout) => layout.aircraftType.toUpperCase() === String(aircraftType).toUpperCase());
+}
+
+// Aircraft record fitted with a layout: its seats per class replaced by the layout's, and the layout's name and seat pitch added
+function applyLayout(aircraft, layout) {
+    return {
+        ...aircraft,
+        ...Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [seatsField, layout.seats[name]])),
+        cabinLayout: layout.name,
+        seatPitch: layout.seatPitch,
+    };
+}
+
+// Compare every layout of a flight's aircraft type, and the type's seats from the aircraft file, on the flight's route.
+// Each carries the flight's bookings per class, as the demand, up to its seats and turns the rest away.
+// Returns { flight, demand, layouts } with the layouts ranked by profit, or { flight, error, code } if the flight itself is invalid
+function compareLayouts(calculator, flightData) {
+    // Check the route, aircraft, fares and bookings once, before any layout. Valid bookings are left out, as they may be
+    // more than any one layout seats, but any that are not a whole number of seats stay in and fail with INVALID_SEATS
+    const demand = Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, flightData[seatsField] ?? 0]));
+    const unbooked = { ...flightData, cabinLayout: null };
+    CABIN_CLASSES.forEach(({ name, seatsField }) => {
+        unbooked[seatsField] = Number.isInteger(demand[name]) && demand[name] >= 0 ? 0 : demand[name];
+    });
+    const prepared = calculator.prepareFlight(unbooked);
+    if (prepared.error) return { flight: flightData, error: prepared.error, code: prepared.code };
+
+    const { aircraft } = prepared;
+    const standard = {
+        name: null,
+        seats: Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, aircraft[seatsField]])),
+        seatPitch: Object.fromEntries(CABIN_CLASSES.map(({ name }) => [name, null])),
+    };
+
+    const layouts = [standard, ...layoutsFor(calculator.cabinLayouts, aircraft.type)].map((layout) => {
+        const flight = { ...flightData, cabinLayout: layout.name };
+        CABIN_CLASSES.forEach(({ name, seatsField }) => {
+            flight[seatsField] = Math.min(demand[name], layout.seats[name]);
+        });
+        const result = calculator.calculateProfit(flight);
+        return {
+            name: layout.name,
+            seats: layout.seats,
+            seatPitch: layout.seatPitch,
+            carried: Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, flight[seatsField]])),
+            turnedAway: Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, demand[name] - flight[seatsField]])),
+            result: result.error ? null : result,
+            error: result.error || null,
+        };
+    });
+
+    // Most profitable first; layouts that cannot fly the flight go last
+    layouts.sort((a, b) => (a.result && b.result ? b.result.profit - a.result.profit : (a.result === null) - (b.result === null)));
+    return { flight: flightData, demand, layouts };
+}
+
+// Format layout comparisons as a plain-text report
+function formatLayoutComparison(comparisons) {
+    return comparisons
+        .map((comparison) => {
+            const { flight } = comparison;
+            const title = `Flight from ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+            if (comparison.error) return `${title}:\n  ${comparison.error}\n`;
+
+            const demand = CABIN_CLASSES.filter(({ name, optional }) => !optional || comparison.demand[name] > 0)
+                .map(({ name }) => `${name} ${comparison.demand[name]}`)
+                .join(", ");
+            const lines = [`${title}, demand ${demand}:`];
+            comparison.layouts.forEach((layout, i) => {
+                const seats = CABIN_CLASSES.filter(({ name }) => layout.seats[name] > 0)
+                    .map(({ name }) => `${name} ${layout.seats[name]}${layout.seatPitch[name] === null ? "" : ` at ${layout.seatPitch[name]}"`}`)
+                    .join(", ");
+                lines.push(`  ${i + 1}. ${layout.name === null ? "Standard seats" : `Layout "${layout.name}"`} (${seats}):`);
+                if (!layout.result) {
+                    lines.push(`    ${layout.error}`);
+                    return;
+                }
+                const turnedAway = CABIN_CLASSES.filter(({ name }) => layout.turnedAway[name] > 0)
+                    .map(({ name }) => `${name} ${layout.turnedAway[name]}`)
+                    .join(", ");
+                const { result } = layout;
+                lines.push(
+                    `    Profit: ${formatMoney(result.profit, result.currency)}, Margin: ${result.profitMargin === null ? "N/A" : `${result.profitMargin.toFixed(2)}%`}, Load Factor: ${result.loadFactor.toFixed(2)}%, ` +
+                        `Turned away: ${turnedAway || "none"}`
+                );
+            });
+            return lines.join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+module.exports = {
+    loadCabinLayouts,
+    findLayout,
+    layoutsFor,
+    applyLayout,
+    compareLayouts,
+    formatLayoutComparison,
+};
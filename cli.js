@@ -0,0 +1,725 @@
+#!/usr/bin/env node
+// Command-line interface for the flight planning tools.
+// Exit codes: 0 when every flight succeeded, 1 when any flight failed, 2 for usage or data loading errors.
+
+// Import required modules
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { FlightProfitCalculator, loadCsv, loadReferenceData, loadFlightData, formatFlightDetails, AIRCRAFT_SCHEMA, FLIGHT_SCHEMA, DEMAND_SCHEMA, FLEET_SCHEMA, TAIL_SCHEMA, TIMETABLE_SCHEMA } = require("./flights");
+const { FlightManager } = require("./interactive");
+const { formatBreakEven } = require("./breakEven");
+const { optimiseFares, formatFareRecommendations } = require("./pricing");
+const { DEFAULT_EMISSIONS_CONFIG, rankByEmissionsPerProfit, formatEmissionsReport } = require("./emissions");
+const { DEFAULT_TURNAROUND_MINUTES, buildWeeklySectors, checkRotations, summariseSchedule, formatScheduleSummary } = require("./schedule");
+const { RANKINGS, rankAircraftForRoutes, assignFleet, formatRouteRankings, formatFleetAssignment } = require("./fleet");
+const { validateFlightFile, writeValidationReport, logExpectationMismatches } = require("./validation");
+const { ukAirports } = require("./distances");
+const { DEFAULT_TRIALS, DEFAULT_SEED, loadBookingDistributions, simulateFlights, formatSimulation } = require("./simulation");
+const { loadOverbookingPolicies, analyseOverbooking, formatOverbooking } = require("./overbooking");
+const { loadCabinLayouts, compareLayouts, formatLayoutComparison } = require("./cabins");
+const { loadScenarios, runScenario, analyseSensitivity, formatScenarioReport, formatSensitivity } = require("./scenarios");
+const { DEFAULT_CURRENCY, isCurrencyCode, CurrencyConverter, loadExchangeRates } = require("./currency");
+const { COST_MODELS, DEFAULT_COST_MODEL } = require("./costs");
+const { REPORT_FORMATS, reportFormatForFile, renderReport } = require("./reports");
+const { createApiServer } = require("./server");
+const { DEFAULT_HISTORY_FILE, recordRun, loadHistory, appendRun, findRun, diffRuns, formatRunList, formatRunDiff } = require("./history");
+const { GROUPINGS, summariseFlights, formatSummaries, formatSummariesCsv } = require("./summaries");
+const { STREAM_FORMATS, streamFormatForFile, streamProfit, writeChunk, formatStreamSummary } = require("./stream");
+
+const EXIT_OK = 0;
+const EXIT_FLIGHT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+// Formats the summary command can write, with the file extension each is recognised by
+const SUMMARY_FORMATS = {
+    text: { extensions: [".txt"], render: (report) => formatSummaries(report.summaries, report.currency) },
+    json: { extensions: [".json"], render: (report) => JSON.stringify(report, null, 2) + "\n" },
+    csv: { extensions: [".csv"], render: (report) => formatSummariesCsv(report.summaries, report.currency) },
+};
+
+// Options shared by every command that reads the reference data
+const dataOptions = {
+    airports: { type: "string", default: "airports.csv", description: "Airports CSV file" },
+    aircraft: { type: "string", default: "aeroplanes.csv", description: "Aircraft CSV file" },
+    routes: { type: "string", default: "routes.csv", description: "Route distances CSV file; unlisted pairs use great-circle distances" },
+    cabins: { type: "string", default: "cabins.csv", description: "Cabin layouts CSV file; flights without a layout use the aircraft's own seats" },
+};
+
+// Options shared by every command that reports amounts of money
+const currencyOptions = {
+    currency: { type: "string", value: "<code>", default: DEFAULT_CURRENCY, description: "Currency to report amounts in" },
+    rates: { type: "string", default: "exchange_rates.csv", description: "Exchange rates CSV file" },
+    "rate-date": { type: "string", value: "<YYYY-MM-DD>", description: "Convert with the rates in effect on this date instead of the latest rates" },
+};
+
+// Options shared by every command that calculates costs
+const costOptions = {
+    "cost-model": { type: "string", value: "<model>", default: DEFAULT_COST_MODEL, description: `Operating cost model: ${COST_MODELS.join(", ")}` },
+};
+
+// Build a profit calculator that reports in the chosen currency with the chosen cost model; returns null if the
+// cost model, currency or rates cannot be used
+function createCalculator(data, values, options = {}) {
+    const costModel = values["cost-model"].toLowerCase();
+    if (!COST_MODELS.includes(costModel)) {
+        console.error(`Invalid cost model: ${values["cost-model"]}. Available models: ${COST_MODELS.join(", ")}`);
+        return null;
+    }
+    const currency = values.currency.toUpperCase();
+    if (!isCurrencyCode(currency)) {
+        console.error(`Invalid currency: ${values.currency}. Enter a three-letter code such as GBP.`);
+        return null;
+    }
+    const rateDate = values["rate-date"] ?? null;
+    if (rateDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(rateDate)) {
+        console.error(`Invalid rate date: ${rateDate}. Use YYYY-MM-DD.`);
+        return null;
+    }
+    const rates = loadExchangeRates(values.rates);
+    if (!rates) return null;
+
+    const converter = new CurrencyConverter(rates, rateDate);
+    if (converter.rateFor(currency) === null) {
+        console.error(converter.missingRateMessage(currency));
+        return null;
+    }
+    return new FlightProfitCalculator(data.airports, data.aircrafts, { ...options, cabinLayouts: data.cabinLayouts, costModel, currency, converter });
+}
+
+// Write text to a file, or to the screen when no file is given; returns false if the file cannot be written
+function writeOutput(content, outputFile, description) {
+    if (!outputFile) {
+        console.log(content);
+        return true;
+    }
+    try {
+        fs.writeFileSync(outputFile, content, { encoding: "utf-8" });
+    } catch (err) {
+        console.error("Error writing file:", err.message);
+        return false;
+    }
+    console.log(`${description} written to ${outputFile}`);
+    return true;
+}
+
+// Exit code for a command run over the flights file: failed when any flight failed or the loader rejected any row
+function flightsExitCode(data, failed) {
+    return failed || data.rejected.length > 0 ? EXIT_FLIGHT_FAILED : EXIT_OK;
+}
+
+const commands = {
+    profit: {
+        summary: "Calculate the profit or loss of every flight in a file",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            format: { type: "string", value: "<format>", description: `Report format: ${Object.keys(REPORT_FORMATS).join(", ")} (default: from the --out extension, else text)` },
+            out: { type: "string", description: "Write results to this file instead of the screen" },
+            history: { type: "string", default: DEFAULT_HISTORY_FILE, description: "History file the run is added to" },
+            "no-history": { type: "boolean", default: false, description: "Do not add the run to the history file" },
+        },
+        run(values) {
+            const format = values.format ? values.format.toLowerCase() : reportFormatForFile(values.out) || "text";
+            if (!REPORT_FORMATS[format]) {
+                console.error(`Invalid report format: ${values.format}. Available formats: ${Object.keys(REPORT_FORMATS).join(", ")}`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+            const { results, failures } = calculator.calculateFlights(data.flights);
+            failures.forEach((failure) => console.error(failure.error));
+            const report = { currency: calculator.currency, costModel: calculator.costModel, results, failures: [...data.rejected, ...failures] };
+            if (!writeOutput(renderReport(report, format), values.out, "Results")) return EXIT_USAGE;
+
+            if (!values["no-history"]) {
+                const files = { flights: values.flights, airports: values.airports, aircraft: values.aircraft, routes: values.routes, cabins: values.cabins, rates: values.rates };
+                const run = appendRun(values.history, recordRun(calculator, data.flights, files, { rateDate: values["rate-date"] ?? null }));
+                if (!run) return EXIT_USAGE;
+                if (values.out) console.log(`Run ${run.id} added to ${values.history}`);
+            }
+            return flightsExitCode(data, failures.length > 0);
+        },
+    },
+    stream: {
+        summary: "Calculate the profit of every flight in a large file, writing results as it reads",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            format: { type: "string", value: "<format>", description: `Results format: ${Object.keys(STREAM_FORMATS).join(", ")} (default: from the --out extension, else text)` },
+            out: { type: "string", description: "Write results to this file instead of the screen" },
+            errors: { type: "string", description: "Write errors to this file instead of the screen" },
+        },
+        async run(values) {
+            const format = values.format ? values.format.toLowerCase() : streamFormatForFile(values.out) || "text";
+            if (!STREAM_FORMATS[format]) {
+                console.error(`Invalid results format: ${values.format}. Available formats: ${Object.keys(STREAM_FORMATS).join(", ")}`);
+                return EXIT_USAGE;
+            }
+            const data = loadReferenceData(values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            // A file that cannot be opened or written stops the run; the first failure is reported once both are closed
+            let writeError = null;
+            const openOutput = (file) => fs.createWriteStream(file, { encoding: "utf-8" }).on("error", (err) => (writeError = writeError || err));
+            const out = values.out ? openOutput(values.out) : process.stdout;
+            const errors = values.errors ? openOutput(values.errors) : process.stderr;
+            const { header, row } = STREAM_FORMATS[format];
+            let written = 0;
+            await writeChunk(out, header(calculator.costModel));
+            const summary = await streamProfit(calculator, values.flights, {
+                result: (result) => writeChunk(out, row(result, written++)),
+                failure: ({ line, code, error }) => writeChunk(errors, `${values.flights}:${line}: [${code}] ${error}\n`),
+            });
+            await Promise.all([out, errors].filter((stream) => stream !== process.stdout && stream !== process.stderr).map((stream) => new Promise((resolve) => stream.end(resolve))));
+            if (!summary) return EXIT_USAGE;
+            if (writeError) {
+                console.error("Error writing file:", writeError.message);
+                return EXIT_USAGE;
+            }
+
+            if (values.out) console.log(`Results written to ${values.out}`);
+            if (values.errors) console.log(`Errors written to ${values.errors}`);
+            // Keep the totals off standard output when the results are written there
+            (values.out ? console.log : console.error)(formatStreamSummary(summary));
+            return summary.failed > 0 ? EXIT_FLIGHT_FAILED : EXIT_OK;
+        },
+    },
+    summary: {
+        summary: "Total the profit of every flight by route, aircraft type and UK base",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            by: { type: "string", value: "<groupings>", default: Object.keys(GROUPINGS).join(","), description: "Comma-separated groupings to summarise by" },
+            format: { type: "string", value: "<format>", description: `Summary format: ${Object.keys(SUMMARY_FORMATS).join(", ")} (default: from the --out extension, else text)` },
+            out: { type: "string", description: "Write the summary to this file instead of the screen" },
+        },
+        run(values) {
+            const groupings = values.by.split(",").map((name) => name.trim().toLowerCase()).filter(Boolean);
+            const unknown = groupings.filter((name) => !GROUPINGS[name]);
+            if (groupings.length === 0 || unknown.length > 0) {
+                console.error(`Invalid grouping: ${unknown.join(", ") || values.by}. Available groupings: ${Object.keys(GROUPINGS).join(", ")}`);
+                return EXIT_USAGE;
+            }
+            const extension = path.extname(values.out || "").toLowerCase();
+            const format = values.format ? values.format.toLowerCase() : Object.keys(SUMMARY_FORMATS).find((name) => SUMMARY_FORMATS[name].extensions.includes(extension)) || "text";
+            if (!SUMMARY_FORMATS[format]) {
+                console.error(`Invalid summary format: ${values.format}. Available formats: ${Object.keys(SUMMARY_FORMATS).join(", ")}`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            const { summaries, failures } = summariseFlights(calculator, data.flights, groupings);
+            failures.forEach((failure) => console.error(failure.error));
+            if (!writeOutput(SUMMARY_FORMATS[format].render({ currency: calculator.currency, costModel: calculator.costModel, summaries }), values.out, "Summary")) return EXIT_USAGE;
+            return flightsExitCode(data, failures.length > 0);
+        },
+    },
+    history: {
+        summary: "List the profit runs saved in the history file",
+        options: {
+            history: { type: "string", default: DEFAULT_HISTORY_FILE, description: "History file" },
+        },
+        run(values) {
+            const runs = loadHistory(values.history);
+            if (!runs) return EXIT_USAGE;
+            console.log(runs.length > 0 ? formatRunList(runs) : `No runs saved in ${values.history} yet.`);
+            return EXIT_OK;
+        },
+    },
+    diff: {
+        summary: "Compare two saved profit runs flight by flight, with the inputs that changed",
+        options: {
+            history: { type: "string", default: DEFAULT_HISTORY_FILE, description: "History file" },
+            from: { type: "string", value: "<run>", default: "previous", description: "Run id to compare from, or previous" },
+            to: { type: "string", value: "<run>", default: "latest", description: "Run id to compare to, or latest" },
+            all: { type: "boolean", default: false, description: "List unchanged flights as well" },
+            out: { type: "string", description: "Write the comparison to this file instead of the screen" },
+        },
+        run(values) {
+            const runs = loadHistory(values.history);
+            if (!runs) return EXIT_USAGE;
+            const from = findRun(runs, values.from);
+            const to = findRun(runs, values.to);
+            if (!from || !to) {
+                console.error(`Run not found: ${from ? values.to : values.from}. ${runs.length} runs saved in ${values.history}; see "node cli.js history".`);
+                return EXIT_USAGE;
+            }
+            if (!writeOutput(formatRunDiff(diffRuns(from, to), values.all), values.out, "Comparison")) return EXIT_USAGE;
+            return EXIT_OK;
+        },
+    },
+    validate: {
+        summary: "Check every flight against every rule and report all violations",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            rates: currencyOptions.rates,
+            json: { type: "string", description: "Write the report as JSON to this file" },
+            csv: { type: "string", description: "Write the report as CSV to this file" },
+            "check-expected": { type: "boolean", default: false, description: "Fail only when a row misses the error its \"# Error:\" comment expects" },
+        },
+        run(values) {
+            const report = validateFlightFile(values.flights, values.airports, values.aircraft, values.routes, values.cabins, values.rates);
+            if (!report) return EXIT_USAGE;
+
+            if (!writeValidationReport(report, values.json, values.csv)) return EXIT_USAGE;
+            if (!values.json && !values.csv) {
+                report.rows.forEach((row) => row.violations.forEach((v) => console.error(`${report.file}:${row.line}: [${v.code}] ${v.message}`)));
+            }
+            logExpectationMismatches(report);
+
+            const { rowsWithViolations, expectationMismatches } = report.summary;
+            console.log(`${report.summary.rows} rows checked, ${rowsWithViolations} with violations, ${expectationMismatches} not matching their expected error.`);
+            if (values["check-expected"]) return expectationMismatches > 0 ? EXIT_FLIGHT_FAILED : EXIT_OK;
+            return rowsWithViolations > 0 ? EXIT_FLIGHT_FAILED : EXIT_OK;
+        },
+    },
+    "break-even": {
+        summary: "Work out break-even load and minimum fares for every flight in a file",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            "target-load": { type: "string", value: "<percent>", default: "80", description: "Load factor for the minimum fares" },
+            out: { type: "string", description: "Write the analysis to this file instead of the screen" },
+        },
+        run(values) {
+            const targetLoad = parseFloat(values["target-load"]);
+            if (Number.isNaN(targetLoad) || targetLoad <= 0 || targetLoad > 100) {
+                console.error(`Invalid target load factor: ${values["target-load"]}. Enter a percentage between 0 and 100.`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+            const analyses = data.flights.map((flight) => calculator.analyseBreakEven(flight, targetLoad / 100));
+            analyses.filter((analysis) => analysis.error).forEach((analysis) => console.error(analysis.error));
+            if (!writeOutput(formatBreakEven(analyses.filter((analysis) => !analysis.error)), values.out, "Break-even analysis")) return EXIT_USAGE;
+            return flightsExitCode(data, analyses.some((analysis) => analysis.error || !analysis.feasible));
+        },
+    },
+    optimise: {
+        summary: "Recommend class prices that maximise profit under a demand model",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file with the current prices" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            demand: { type: "string", default: "demand.csv", description: "Demand model CSV file" },
+            step: { type: "string", value: "<amount>", default: "5", description: "Price step used by the search, in the report currency" },
+            out: { type: "string", description: "Write the recommendations to this file instead of the screen" },
+        },
+        run(values) {
+            const step = parseFloat(values.step);
+            if (Number.isNaN(step) || step <= 0) {
+                console.error(`Invalid price step: ${values.step}. Enter a positive amount.`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            const demand = loadCsv(values.demand, DEMAND_SCHEMA);
+            if (!data || !demand) return EXIT_USAGE;
+
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+            const recommendations = data.flights.map((flight) => optimiseFares(calculator, flight, demand, step));
+            recommendations.filter((recommendation) => recommendation.error).forEach((recommendation) => console.error(recommendation.error));
+            if (!writeOutput(formatFareRecommendations(recommendations.filter((recommendation) => !recommendation.error)), values.out, "Fare recommendations")) return EXIT_USAGE;
+            return flightsExitCode(data, recommendations.some((recommendation) => recommendation.error));
+        },
+    },
+    fleet: {
+        summary: "Rank the aircraft that can operate each route and assign a fleet across the network",
+        options: {
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            demand: { type: "string", default: "demand.csv", description: "Demand model CSV file" },
+            bases: { type: "string", value: "<codes>", description: "Comma-separated UK airports to fly from (default: every UK airport)" },
+            rank: { type: "string", value: "<order>", default: "profit", description: `Ranking order: ${Object.keys(RANKINGS).join(", ")}` },
+            "allow-spill": { type: "boolean", default: false, description: "Keep aircraft too small for the demand, turning away the extra passengers" },
+            inventory: { type: "string", description: "Fleet inventory CSV file; solves the network assignment when given" },
+            out: { type: "string", description: "Write the report to this file instead of the screen" },
+        },
+        run(values) {
+            if (!RANKINGS[values.rank]) {
+                console.error(`Invalid ranking order: ${values.rank}. Available orders: ${Object.keys(RANKINGS).join(", ")}`);
+                return EXIT_USAGE;
+            }
+            const data = loadReferenceData(values.airports, values.aircraft, values.routes, values.cabins);
+            const demand = loadCsv(values.demand, DEMAND_SCHEMA);
+            const inventory = values.inventory ? loadCsv(values.inventory, FLEET_SCHEMA) : [];
+            if (!data || !demand || !inventory) return EXIT_USAGE;
+
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+            const ukCodes = ukAirports(data.airports).map((airport) => airport.code.toUpperCase());
+            const bases = values.bases ? values.bases.split(",").map((code) => code.trim().toUpperCase()) : ukCodes;
+            const unknownBases = bases.filter((code) => !ukCodes.includes(code));
+            if (unknownBases.length > 0) {
+                console.error(`Invalid UK airport code: ${unknownBases.join(", ")}. Available codes: ${ukCodes.join(", ")}`);
+                return EXIT_USAGE;
+            }
+            const routes = rankAircraftForRoutes(calculator, demand, bases, values.rank, values["allow-spill"]);
+            let report = formatRouteRankings(routes);
+            if (values.inventory) {
+                report += "\n" + formatFleetAssignment(assignFleet(routes, inventory), inventory, calculator.currency);
+            }
+            if (!writeOutput(report, values.out, "Fleet report")) return EXIT_USAGE;
+            return routes.some((route) => route.error || route.options.length === 0) ? EXIT_FLIGHT_FAILED : EXIT_OK;
+        },
+    },
+    schedule: {
+        summary: "Check aircraft rotations in a weekly timetable and total its profit by route, base and aircraft",
+        options: {
+            timetable: { type: "string", default: "timetable.csv", description: "Weekly timetable CSV file" },
+            tails: { type: "string", default: "tails.csv", description: "Aircraft tail numbers CSV file" },
+            flights: { type: "string", default: "valid_flight_data.csv", description: "Flights CSV file with the bookings and fares per route" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            turnaround: { type: "string", value: "<minutes>", default: String(DEFAULT_TURNAROUND_MINUTES), description: "Minimum turnaround between sectors" },
+            out: { type: "string", description: "Write the report to this file instead of the screen" },
+        },
+        run(values) {
+            const turnaround = parseInt(values.turnaround, 10);
+            if (Number.isNaN(turnaround) || turnaround < 0) {
+                console.error(`Invalid turnaround: ${values.turnaround}. Enter a number of minutes.`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            const timetable = loadCsv(values.timetable, TIMETABLE_SCHEMA);
+            const tails = loadCsv(values.tails, TAIL_SCHEMA);
+            if (!data || !timetable || !tails) return EXIT_USAGE;
+
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+            const { sectors, errors } = buildWeeklySectors(calculator, timetable, tails, data.flights);
+            errors.forEach((error) => console.error(error));
+            const problems = checkRotations(sectors, turnaround);
+            if (!writeOutput(formatScheduleSummary(summariseSchedule(sectors), problems), values.out, "Schedule report")) return EXIT_USAGE;
+            return flightsExitCode(data, errors.length > 0 || problems.length > 0);
+        },
+    },
+    emissions: {
+        summary: "Report CO2 per flight and per passenger, ranking flights by CO2 per unit of profit",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            "radiative-forcing": { type: "string", value: "<factor>", default: String(DEFAULT_EMISSIONS_CONFIG.radiativeForcing), description: "Multiplier for non-CO2 effects at altitude, e.g. 1.9" },
+            out: { type: "string", description: "Write the report to this file instead of the screen" },
+        },
+        run(values) {
+            const radiativeForcing = parseFloat(values["radiative-forcing"]);
+            if (Number.isNaN(radiativeForcing) || radiativeForcing < 1) {
+                console.error(`Invalid radiative forcing factor: ${values["radiative-forcing"]}. Enter a number of at least 1.`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+
+            const calculator = createCalculator(data, values, { emissions: { radiativeForcing } });
+            if (!calculator) return EXIT_USAGE;
+            const { results, failures } = calculator.calculateFlights(data.flights);
+            failures.forEach((failure) => console.error(failure.error));
+            if (!writeOutput(formatEmissionsReport(rankByEmissionsPerProfit(results)), values.out, "Emissions report")) return EXIT_USAGE;
+            return flightsExitCode(data, failures.length > 0);
+        },
+    },
+    scenarios: {
+        summary: "Recalculate every flight under named what-if scenarios and report the profit changes",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            scenarios: { type: "string", default: "scenarios.csv", description: "Scenario CSV file" },
+            out: { type: "string", description: "Write the report to this file instead of the screen" },
+        },
+        run(values) {
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            const scenarios = loadScenarios(values.scenarios);
+            if (!data || !scenarios) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            const comparisons = scenarios.map((scenario) => runScenario(calculator, data.flights, scenario));
+            if (!writeOutput(formatScenarioReport(comparisons), values.out, "Scenario report")) return EXIT_USAGE;
+            return flightsExitCode(data, comparisons.some(({ rows }) => rows.some(({ base, result }) => base.error || result.error)));
+        },
+    },
+    sensitivity: {
+        summary: "Rank the inputs that move each flight's profit and margin the most",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            step: { type: "string", value: "<percent>", default: "10", description: "How far to move each input down and up" },
+            out: { type: "string", description: "Write the tables to this file instead of the screen" },
+        },
+        run(values) {
+            const step = parseFloat(values.step);
+            if (Number.isNaN(step) || step <= 0 || step >= 100) {
+                console.error(`Invalid step: ${values.step}. Enter a percentage between 0 and 100.`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            const analyses = data.flights.map((flight) => analyseSensitivity(calculator, flight, step / 100));
+            if (!writeOutput(formatSensitivity(analyses), values.out, "Sensitivity tables")) return EXIT_USAGE;
+            return flightsExitCode(data, analyses.some((analysis) => analysis.error));
+        },
+    },
+    simulate: {
+        summary: "Simulate random bookings to estimate each flight's expected profit, P5/P95 and probability of loss",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            distributions: { type: "string", default: "booking_distributions.csv", description: "Booking distributions CSV file" },
+            trials: { type: "string", value: "<count>", default: String(DEFAULT_TRIALS), description: "Number of trials per flight" },
+            seed: { type: "string", value: "<number>", default: String(DEFAULT_SEED), description: "Random seed; the same seed gives the same results" },
+            out: { type: "string", description: "Write the report to this file instead of the screen" },
+        },
+        run(values) {
+            const trials = Number(values.trials);
+            const seed = Number(values.seed);
+            if (!Number.isInteger(trials) || trials < 1) {
+                console.error(`Invalid number of trials: ${values.trials}. Enter a whole number of at least 1.`);
+                return EXIT_USAGE;
+            }
+            if (!Number.isInteger(seed)) {
+                console.error(`Invalid seed: ${values.seed}. Enter a whole number.`);
+                return EXIT_USAGE;
+            }
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            const distributions = loadBookingDistributions(values.distributions);
+            if (!data || !distributions) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            const simulations = simulateFlights(calculator, data.flights, distributions, { trials, seed });
+            simulations.filter((simulation) => simulation.error).forEach((simulation) => console.error(simulation.error));
+            if (!writeOutput(formatSimulation(simulations.filter((simulation) => !simulation.error)), values.out, "Simulation report")) return EXIT_USAGE;
+            return flightsExitCode(data, simulations.some((simulation) => simulation.error));
+        },
+    },
+    overbooking: {
+        summary: "Model no-shows, upgrades and denied boarding, and recommend a booking limit per class",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file; bookings may exceed capacity" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            policies: { type: "string", default: "overbooking.csv", description: "No-show rates and denied boarding costs CSV file" },
+            "no-upgrades": { type: "boolean", default: false, description: "Deny boarding instead of upgrading into spare seats in a higher class" },
+            out: { type: "string", description: "Write the report to this file instead of the screen" },
+        },
+        run(values) {
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            const policies = loadOverbookingPolicies(values.policies);
+            if (!data || !policies) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            const analyses = data.flights.map((flight) => analyseOverbooking(calculator, flight, policies, { allowUpgrades: !values["no-upgrades"] }));
+            analyses.filter((analysis) => analysis.error).forEach((analysis) => console.error(analysis.error));
+            if (!writeOutput(formatOverbooking(analyses.filter((analysis) => !analysis.error)), values.out, "Overbooking report")) return EXIT_USAGE;
+            return flightsExitCode(data, analyses.some((analysis) => analysis.error));
+        },
+    },
+    layouts: {
+        summary: "Compare the profit of each cabin layout of a flight's aircraft type for the same demand",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file; each flight's bookings are the demand per class" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            out: { type: "string", description: "Write the comparison to this file instead of the screen" },
+        },
+        run(values) {
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            const comparisons = data.flights.map((flight) => compareLayouts(calculator, flight));
+            comparisons.filter((comparison) => comparison.error).forEach((comparison) => console.error(comparison.error));
+            if (!writeOutput(formatLayoutComparison(comparisons.filter((comparison) => !comparison.error)), values.out, "Layout comparison")) return EXIT_USAGE;
+            return flightsExitCode(data, comparisons.some((comparison) => comparison.error));
+        },
+    },
+    interactive: {
+        summary: "Run what-if profit queries, prompting for each flight with tab completion",
+        options: {
+            flights: { type: "string", default: "valid_flight_data.csv", description: "Flights CSV file whose bookings and fares are offered as defaults" },
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+        },
+        async run(values) {
+            const data = loadFlightData(values.flights, values.airports, values.aircraft, values.routes, values.cabins);
+            if (!data) return EXIT_USAGE;
+            const calculator = createCalculator(data, values);
+            if (!calculator) return EXIT_USAGE;
+
+            await new FlightManager(calculator, data.flights).run();
+            return EXIT_OK;
+        },
+    },
+    serve: {
+        summary: "Serve profit calculations, validation and the loaded data over a local HTTP API",
+        options: {
+            ...dataOptions,
+            ...currencyOptions,
+            ...costOptions,
+            port: { type: "string", value: "<port>", default: "8080", description: "Port to listen on" },
+            host: { type: "string", value: "<host>", default: "127.0.0.1", description: "Address to listen on" },
+        },
+        run(values) {
+            const port = Number(values.port);
+            if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                console.error(`Invalid port: ${values.port}. Enter a whole number from 0 to 65535.`);
+                return EXIT_USAGE;
+            }
+            // Rebuilt whenever a data file changes
+            const load = () => {
+                const data = loadReferenceData(values.airports, values.aircraft, values.routes, values.cabins);
+                return data && createCalculator(data, values);
+            };
+            const server = createApiServer(load, [values.airports, values.aircraft, values.routes, values.cabins, values.rates]);
+            if (!server) return EXIT_USAGE;
+
+            return new Promise((resolve) => {
+                server.on("error", (err) => {
+                    console.error(`Error: Could not listen on ${values.host}:${port}: ${err.message}`);
+                    resolve(EXIT_USAGE);
+                });
+                server.listen(port, values.host, () => console.log(`Listening on http://${values.host}:${server.address().port} (Ctrl+C to stop)`));
+                const stop = () => server.close(() => resolve(EXIT_OK));
+                process.once("SIGINT", stop);
+                process.once("SIGTERM", stop);
+            });
+        },
+    },
+    report: {
+        summary: "Write the booked seats of every flight alongside its aircraft capacity",
+        options: {
+            flights: { type: "string", required: true, description: "Flights CSV file" },
+            aircraft: dataOptions.aircraft,
+            cabins: dataOptions.cabins,
+            out: { type: "string", default: "flights.txt", description: "Report file" },
+        },
+        run(values) {
+            const flights = loadCsv(values.flights, FLIGHT_SCHEMA);
+            const aircrafts = loadCsv(values.aircraft, AIRCRAFT_SCHEMA);
+            const cabinLayouts = aircrafts && loadCabinLayouts(values.cabins, aircrafts);
+            if (!flights || !aircrafts || !cabinLayouts) {
+                console.error("Error: Could not load necessary data files.");
+                return EXIT_USAGE;
+            }
+            if (!writeOutput(formatFlightDetails(flights, aircrafts, cabinLayouts), values.out, "Detailed flight data")) return EXIT_USAGE;
+            return EXIT_OK;
+        },
+    },
+};
+
+// Build the help text for the whole tool or a single command
+function helpText(commandName) {
+    if (!commandName) {
+        const width = Math.max(...Object.keys(commands).map((name) => name.length));
+        return [
+            "Usage: node cli.js <command> [options]",
+            "",
+            "Commands:",
+            ...Object.entries(commands).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+            "",
+            "Run \"node cli.js <command> --help\" for the options of a command.",
+        ].join("\n");
+    }
+
+    const { summary, options } = commands[commandName];
+    const flags = Object.entries(options).map(([name, option]) => {
+        const flag = option.type === "string" ? `--${name} ${option.value || "<file>"}` : `--${name}`;
+        const notes = [option.required && "required", option.default !== undefined && option.type === "string" && `default: ${option.default}`].filter(Boolean);
+        return { flag, description: notes.length > 0 ? `${option.description} (${notes.join(", ")})` : option.description };
+    });
+    const width = Math.max(...flags.map(({ flag }) => flag.length));
+    return [
+        `Usage: node cli.js ${commandName} [options]`,
+        "",
+        summary,
+        "",
+        "Options:",
+        ...flags.map(({ flag, description }) => `  ${flag.padEnd(width)}  ${description}`),
+        `  ${"--help".padEnd(width)}  Show this help`,
+    ].join("\n");
+}
+
+// Run the CLI and resolve to its exit code
+async function main(argv) {
+    const [commandName, ...args] = argv;
+    if (!commandName || commandName === "--help" || commandName === "-h" || commandName === "help") {
+        console.log(helpText());
+        return commandName ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const command = commands[commandName];
+    if (!command) {
+        console.error(`Unknown command: ${commandName}\n\n${helpText()}`);
+        return EXIT_USAGE;
+    }
+
+    let values;
+    try {
+        const options = Object.fromEntries(Object.entries(command.options).map(([name, { type, default: value }]) => [name, { type, default: value }]));
+        ({ values } = parseArgs({ args, options: { ...options, help: { type: "boolean", short: "h" } } }));
+    } catch (err) {
+        console.error(`${err.message}\n\n${helpText(commandName)}`);
+        return EXIT_USAGE;
+    }
+
+    if (values.help) {
+        console.log(helpText(commandName));
+        return EXIT_OK;
+    }
+    const missing = Object.keys(command.options).filter((name) => command.options[name].required && values[name] === undefined);
+    if (missing.length > 0) {
+        console.error(`Missing required option: ${missing.map((name) => `--${name}`).join(", ")}\n\n${helpText(commandName)}`);
+        return EXIT_USAGE;
+    }
+
+    return command.run(values);
+}
+
+module.exports = { main, commands };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,125 @@
+// Operating cost models. The "itemised" model charges the aircraft and its crew per block hour, a
+// fixed cost per sector, landing and handling fees at the airports and a charge per departing passenger,
+// so an empty seat still flies at a cost. The "per-seat" model is the original one: the aircraft's running
+// cost per booked seat per 100 km, and nothing for empty seats.
+
+// Import required modules
+const { DEFAULT_CURRENCY, formatMoney } = require("./currency");
+
+const COST_MODELS = ["itemised", "per-seat"];
+const DEFAULT_COST_MODEL = "itemised";
+
+// Block time assumptions, shared with the schedule planner: average block speed plus a fixed allowance for
+// taxi, take-off and landing
+const BLOCK_SPEED_KMH = 800;
+const TAXI_ALLOWANCE_MINUTES = 30;
+
+// Block time in whole minutes for a sector of the given distance
+function blockMinutes(distance) {
+    return Math.round(TAXI_ALLOWANCE_MINUTES + (distance / BLOCK_SPEED_KMH) * 60);
+}
+
+// Money fields each model reads, keyed by cost item: [record, field, currencyField], where the record is the
+// "aircraft", the "origin" airport or the "destination" airport
+const COST_FIELDS = {
+    itemised: {
+        aircraft: ["aircraft", "costPerBlockHour", "costPerBlockHourCurrency"],
+        crew: ["aircraft", "crewCostPerBlockHour", "crewCostPerBlockHourCurrency"],
+        sector: ["aircraft", "costPerSector", "costPerSectorCurrency"],
+        landing: ["destination", "landingFee", "landingFeeCurrency"],
+        originHandling: ["origin", "handlingFee", "handlingFeeCurrency"],
+        destinationHandling: ["destination", "handlingFee", "handlingFeeCurrency"],
+        passengerCharges: ["origin", "passengerCharge", "passengerChargeCurrency"],
+    },
+    "per-seat": {
+        seats: ["aircraft", "runningCostPerSeatPer100km", "runningCostCurrency"],
+    },
+};
+
+// Labels for the cost items in reports
+const COST_LABELS = {
+    aircraft: "aircraft",
+    crew: "crew",
+    sector: "sector",
+    landing: "landing",
+    originHandling: "handling at origin",
+    destinationHandling: "handling at destination",
+    passengerCharges: "passenger charges",
+    seats: "seat running cost",
+};
+
+// Cost items a model charges, in the order its breakdowns list them
+function costItems(model) {
+    return Object.keys(COST_FIELDS[model]);
+}
+
+// Currencies of the money fields a cost model reads; records holds the aircraft and the origin and destination airports
+function costCurrencies(model, records) {
+    return Object.values(COST_FIELDS[model]).map(([record, , currencyField]) => records[record][currencyField] || DEFAULT_CURRENCY);
+}
+
+// A flight's costs under a model, split into amounts charged once per flight and amounts charged per passenger,
+// keyed by cost item. convert(amount, currency) converts into the reporting currency; check costCurrencies first
+function flightCosts(model, records, distance, convert) {
+    const rates = Object.fromEntries(
+        Object.entries(COST_FIELDS[model]).map(([item, [record, field, currencyField]]) => [
+            item,
+            convert(records[record][field] || 0, records[record][currencyField] || DEFAULT_CURRENCY),
+        ])
+    );
+    if (model === "per-seat") {
+        return { model, perFlight: {}, perPassenger: { seats: rates.seats * (distance / 100) } };
+    }
+
+    // Block time from the same assumptions as the schedule planner
+    const blockHours = blockMinutes(distance) / 60;
+    return {
+        model,
+        blockHours,
+        perFlight: {
+            aircraft: rates.aircraft * blockHours,
+            crew: rates.crew * blockHours,
+            sector: rates.sector,
+            landing: rates.landing,
+            originHandling: rates.originHandling,
+            destinationHandling: rates.destinationHandling,
+        },
+        perPassenger: { passengerCharges: rates.passengerCharges },
+    };
+}
+
+// Sum of a set of cost items
+function sumCosts(items) {
+    return Object.values(items).reduce((sum, amount) => sum + amount, 0);
+}
+
+// Itemised cost of a flight carrying the given number of passengers: { items, total }
+function costBreakdown(costs, passengers) {
+    const items = { ...costs.perFlight };
+    Object.entries(costs.perPassenger).forEach(([item, amount]) => {
+        items[item] = (items[item] || 0) + amount * passengers;
+    });
+    return { items, total: sumCosts(items) };
+}
+
+// Format cost items as e.g. "aircraft £23,093.33, crew £7,216.67, ..."
+function formatCostBreakdown(items, currency) {
+    return Object.entries(items)
+        .map(([item, amount]) => `${COST_LABELS[item] || item} ${formatMoney(amount, currency)}`)
+        .join(", ");
+}
+
+module.exports = {
+    COST_MODELS,
+    DEFAULT_COST_MODEL,
+    COST_LABELS,
+    BLOCK_SPEED_KMH,
+    TAXI_ALLOWANCE_MINUTES,
+    blockMinutes,
+    costItems,
+    costCurrencies,
+    flightCosts,
+    sumCosts,
+    costBreakdown,
+    formatCostBreakdown,
+};
@@ -0,0 +1,323 @@
+// Import required modules
+const fs = require("fs");
+
+// Amounts without a currency symbol or code are assumed to be in pounds sterling
+const DEFAULT_CURRENCY = "GBP";
+const CURRENCY_SYMBOLS = { "E£": "EGP", "£": "GBP", $: "USD", "€": "EUR" };
+
+// Parse an amount with an optional currency symbol or ISO code, e.g. "£8", "USD 1,200.50" or "450 EUR".
+// Returns { amount, currency } with a null currency when none is given, or null if unparseable.
+function parseMoney(value) {
+    const match = value.match(/^(?:([A-Z]{3})\s*|(E£|£|\$|€)\s*)?([+-]?[\d,]*\.?\d+)(?:\s*([A-Z]{3}))?$/);
+    if (!match || ((match[1] || match[2]) && match[4])) return null;
+    const currency = match[1] || CURRENCY_SYMBOLS[match[2]] || match[4] || null;
+    return { amount: parseFloat(match[3].replace(/,/g, "")), currency };
+}
+
+// Parsers for the column types a schema can declare; each returns NaN for unparseable input
+const typeParsers = {
+    string: (value) => value,
+    integer: (value) => (/^[+-]?\d+$/.test(value) ? parseInt(value, 10) : NaN),
+    number: (value) => (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(value) ? parseFloat(value) : NaN),
+    // Amounts that may carry a currency; see parseMoney
+    currency: (value) => {
+        const money = parseMoney(value);
+        return money ? money.amount : NaN;
+    },
+};
+
+// Normalise a header name so "maxflightrange(km)" and "Max Flight Range (km)" match
+function normaliseHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Split CSV text into rows of fields, honouring quoted fields and trailing "# ..." comments
+function tokenizeCsv(content, delimiter = ",") {
+    const rows = [];
+    let fields = [];
+    let field = "";
+    let inQuotes = false;
+    let quotedField = false;
+    let comment = null;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        fields.push(quotedField ? field : field.trim());
+        field = "";
+        quotedField = false;
+    };
+    const endRow = () => {
+        endField();
+        // Skip blank lines and lines holding only a comment
+        if (fields.length > 1 || fields[0] !== "") {
+            rows.push({ line: rowLine, fields, comment: comment === null ? null : comment.trim() });
+        }
+        fields = [];
+        comment = null;
+        rowLine = line;
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === "\n") line++;
+
+        if (inQuotes) {
+            if (char !== '"') {
+                field += char;
+            } else if (content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                inQuotes = false;
+            }
+        } else if (comment !== null) {
+            if (char === "\n") endRow();
+            else if (char !== "\r") comment += char;
+        } else if (char === '"' && !quotedField && field.trim() === "") {
+            inQuotes = true;
+            quotedField = true;
+            field = "";
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === "#") {
+            comment = "";
+        } else if (char === "\n") {
+            endRow();
+        } else if (char !== "\r" && !(quotedField && /\s/.test(char))) {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        return { rows, error: { line: rowLine, message: "Unterminated quoted field" } };
+    }
+    if (field !== "" || fields.length > 0 || quotedField) endRow();
+    return { rows, error: null };
+}
+
+// Whether a quoted field is still open at the end of one line of CSV text, given whether one was open at its
+// start. Follows the quoting rules of tokenizeCsv, so a file can be read line by line without re-tokenizing
+function endsInQuotes(line, delimiter = ",", inQuotes = false) {
+    let quotedField = inQuotes;
+    let fieldBlank = true;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char !== '"') continue;
+            if (line[i + 1] === '"') i++;
+            else inQuotes = false;
+        } else if (char === '"' && !quotedField && fieldBlank) {
+            inQuotes = true;
+            quotedField = true;
+        } else if (char === delimiter) {
+            quotedField = false;
+            fieldBlank = true;
+        } else if (char === "#") {
+            return false;
+        } else if (!/\s/.test(char)) {
+            fieldBlank = false;
+        }
+    }
+    return inQuotes;
+}
+
+// Most lines a quoted field may run over before its row is reported as unterminated
+const MAX_ROW_LINES = 100;
+
+// Split CSV text fed in one line at a time into rows. addLine(number, text) and finish(), at the end of the input,
+// each return the rows completed so far as { line, fields, comment }. A quoted field may run over several lines; one
+// still open after MAX_ROW_LINES lines, or at the end of the input, gives { line, error } for its row alone, and
+// splitting goes on from the line after the row's first, so one stray quote costs one row rather than the rest of the file
+function createRowSplitter(delimiter = ",") {
+    // Lines of the row being read, as { number, text }, and whether a quoted field is open at the end of them
+    let pending = [];
+    let inQuotes = false;
+
+    const add = (line, rows) => {
+        pending.push(line);
+        inQuotes = endsInQuotes(line.text, delimiter, inQuotes);
+        if (!inQuotes) {
+            const firstLine = pending[0].number;
+            const { rows: completed } = tokenizeCsv(pending.map(({ text }) => text).join("\n"), delimiter);
+            pending = [];
+            completed.forEach((row) => rows.push({ ...row, line: firstLine + row.line - 1 }));
+        } else if (pending.length >= MAX_ROW_LINES) {
+            dropUnterminatedRow(rows);
+        }
+    };
+    const dropUnterminatedRow = (rows) => {
+        const [first, ...rest] = pending;
+        pending = [];
+        inQuotes = false;
+        rows.push({ line: first.number, error: "Unterminated quoted field" });
+        rest.forEach((line) => add(line, rows));
+    };
+
+    return {
+        addLine(number, text) {
+            const rows = [];
+            add({ number, text }, rows);
+            return rows;
+        },
+        finish() {
+            const rows = [];
+            while (pending.length > 0) dropUnterminatedRow(rows);
+            return rows;
+        },
+    };
+}
+
+// Split CSV text into rows as createRowSplitter does; lines may end in LF or CRLF
+function splitCsvRows(content, delimiter = ",") {
+    const splitter = createRowSplitter(delimiter);
+    const rows = content.split(/\r?\n/).flatMap((text, i) => splitter.addLine(i + 1, text));
+    return [...rows, ...splitter.finish()];
+}
+
+// Map each schema column onto its position in the header row: { columns, errors }. Optional columns missing
+// from the header are kept with a null index so that every record still gets their defaults
+function mapColumns(header, schema, filename = schema.name) {
+    const errors = [];
+    const headerIndex = new Map(header.fields.map((name, index) => [normaliseHeader(name), index]));
+    const columns = [];
+    for (const column of schema.columns) {
+        const index = headerIndex.get(normaliseHeader(column.header));
+        if (index === undefined) {
+            if (column.required) {
+                errors.push({ file: filename, line: header.line, message: `Missing required column "${column.header}"` });
+            } else {
+                columns.push({ ...column, index: null });
+            }
+            continue;
+        }
+        columns.push({ ...column, index });
+    }
+    return { columns, errors };
+}
+
+// Parse one tokenized data row into a typed record: { line, comment, record, errors }, where record is null
+// if the row has the wrong number of columns
+function parseRow(row, header, columns) {
+    const parsedRow = { line: row.line, comment: row.comment, record: null, errors: [] };
+    if (row.fields.length !== header.fields.length) {
+        parsedRow.errors.push(`Expected ${header.fields.length} columns but found ${row.fields.length}`);
+        return parsedRow;
+    }
+    const record = {};
+    for (const column of columns) {
+        const raw = column.index === null ? "" : row.fields[column.index];
+        // Currency columns can also record the currency they were given in
+        if (column.currencyField) {
+            const money = raw === "" ? null : parseMoney(raw);
+            record[column.currencyField] = (money && money.currency) || DEFAULT_CURRENCY;
+        }
+        if (raw === "") {
+            if (column.required) parsedRow.errors.push(`Missing value for "${column.header}"`);
+            record[column.field] = column.default ?? null;
+            continue;
+        }
+        const value = typeParsers[column.type || "string"](raw);
+        if (Number.isNaN(value)) {
+            parsedRow.errors.push(`Invalid ${column.type} value "${raw}" for "${column.header}"`);
+        }
+        // Unparseable values keep the text as given, so the validator can show it
+        record[column.field] = Number.isNaN(value) ? raw : value;
+    }
+    parsedRow.record = record;
+    return parsedRow;
+}
+
+// Parse CSV text against a schema, returning typed records, row errors and every parsed row
+function parseCsv(content, schema, filename = schema.name, delimiter = ",") {
+    const errors = [];
+    const rows = splitCsvRows(content, delimiter);
+    const headerIndex = rows.findIndex((row) => !row.error);
+    rows.slice(0, headerIndex === -1 ? rows.length : headerIndex).forEach(({ line, error }) => errors.push({ file: filename, line, message: error }));
+    if (headerIndex === -1) {
+        errors.push({ file: filename, line: 1, message: "File has no header row" });
+        return { records: [], errors, rows: [] };
+    }
+
+    const header = rows[headerIndex];
+    const dataRows = rows.slice(headerIndex + 1);
+    const { columns, errors: headerErrors } = mapColumns(header, schema, filename);
+    errors.push(...headerErrors);
+    if (headerErrors.length > 0) return { records: [], errors, rows: [] };
+
+    // Keep every data row alongside its parsed record so callers can report on rejected rows too
+    const records = [];
+    const parsedRows = [];
+    for (const row of dataRows) {
+        // A row whose quoted field never closed is rejected on its own
+        const parsedRow = row.error ? { line: row.line, comment: null, record: null, errors: [row.error] } : parseRow(row, header, columns);
+        parsedRows.push(parsedRow);
+        if (parsedRow.errors.length > 0) {
+            errors.push(...parsedRow.errors.map((message) => ({ file: filename, line: row.line, message })));
+        } else {
+            records.push(parsedRow.record);
+        }
+    }
+    return { records, errors, rows: parsedRows };
+}
+
+// Format a loader error as "file:line: message"
+function formatCsvError({ file, line, message }) {
+    return `${file}:${line}: ${message}`;
+}
+
+// Read and parse a CSV file against a schema; returns null if the file cannot be read
+function readCsv(filename, schema, delimiter = ",") {
+    try {
+        const content = fs.readFileSync(filename, { encoding: "utf-8" });
+        return parseCsv(content, schema, filename, delimiter);
+    } catch (err) {
+        console.error("Error reading file:", err.message);
+        return null;
+    }
+}
+
+// Read a CSV file against a schema, logging bad rows; returns null if the file cannot be loaded
+function loadCsv(filename, schema, delimiter = ",") {
+    const parsed = readCsv(filename, schema, delimiter);
+    if (!parsed) return null;
+
+    const { records, errors } = parsed;
+    errors.forEach((error) => console.error(formatCsvError(error)));
+    if (records.length === 0 && errors.length > 0) return null;
+    return records;
+}
+
+// Format values as one CSV line, quoting fields that contain delimiters, quotes, "#" or newlines
+function formatCsvRow(values, delimiter = ",") {
+    return values
+        .map((value) => {
+            const text = value === null || value === undefined ? "" : String(value);
+            return /[",#\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(delimiter);
+}
+
+// Find a record whose field matches the key, ignoring case
+function findRecord(records, field, key) {
+    const wanted = String(key).toUpperCase();
+    return records.find((record) => String(record[field]).toUpperCase() === wanted);
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    parseMoney,
+    tokenizeCsv,
+    endsInQuotes,
+    MAX_ROW_LINES,
+    createRowSplitter,
+    splitCsvRows,
+    mapColumns,
+    parseRow,
+    parseCsv,
+    readCsv,
+    loadCsv,
+    findRecord,
+    formatCsvError,
+    formatCsvRow,
+};
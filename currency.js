@@ -0,0 +1,92 @@
+// Currency conversion and money formatting. Exchange rates give the value of one unit of a
+// currency in pounds from an effective date; a conversion uses the latest rate in effect on
+// the converter's date, or the latest rate of all when no date is set.
+
+// Import required modules
+const { DEFAULT_CURRENCY, loadCsv } = require("./csv");
+const { EXCHANGE_RATE_SCHEMA } = require("./schemas");
+
+const formatters = new Map();
+
+// Number formatter for a currency, shared between calls
+function currencyFormatter(currency) {
+    if (!formatters.has(currency)) {
+        formatters.set(currency, new Intl.NumberFormat("en-GB", { style: "currency", currency }));
+    }
+    return formatters.get(currency);
+}
+
+// Whether a currency code is a well-formed ISO 4217 code that can be formatted
+function isCurrencyCode(currency) {
+    if (!/^[A-Z]{3}$/.test(currency)) return false;
+    try {
+        currencyFormatter(currency);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Round an amount to the currency's minor unit, e.g. pence for GBP
+function roundMoney(amount, currency = DEFAULT_CURRENCY) {
+    const factor = Math.pow(10, currencyFormatter(currency).resolvedOptions().maximumFractionDigits);
+    return Math.round(amount * factor) / factor + 0;
+}
+
+// Format an amount with its currency symbol and thousands separators, e.g. "£1,234.50"
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    return currencyFormatter(currency).format(amount);
+}
+
+// Class to convert amounts between currencies with dated exchange rates
+class CurrencyConverter {
+    constructor(rates = [], date = null) {
+        this.rates = rates;
+        this.date = date;
+    }
+
+    // Value of one unit of a currency in pounds on the converter's date; returns null if there is no rate
+    rateFor(currency) {
+        const code = currency.toUpperCase();
+        if (code === DEFAULT_CURRENCY) return 1;
+        const effective = this.rates
+            .filter((rate) => rate.currency.toUpperCase() === code && (this.date === null || rate.effectiveDate <= this.date))
+            .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate));
+        return effective.length > 0 ? effective[0].gbpPerUnit : null;
+    }
+
+    // Convert an amount from one currency to another; returns null if either has no rate
+    convert(amount, from, to) {
+        if (from.toUpperCase() === to.toUpperCase()) return amount;
+        const fromRate = this.rateFor(from);
+        const toRate = this.rateFor(to);
+        if (fromRate === null || toRate === null) return null;
+        return (amount * fromRate) / toRate;
+    }
+
+    // Message explaining that a currency has no usable rate
+    missingRateMessage(currency) {
+        return `No exchange rate for ${currency}${this.date ? ` on or before ${this.date}` : ""}.`;
+    }
+}
+
+// Load an exchange-rate file; returns null if it cannot be loaded or any rate is invalid
+function loadExchangeRates(filename) {
+    const rates = loadCsv(filename, EXCHANGE_RATE_SCHEMA);
+    if (!rates) return null;
+
+    const invalid = rates.filter((rate) => !isCurrencyCode(rate.currency.toUpperCase()) || !(rate.gbpPerUnit > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(rate.effectiveDate));
+    invalid.forEach((rate) =>
+        console.error(`${filename}: Invalid exchange rate ${rate.currency} ${rate.gbpPerUnit} from ${rate.effectiveDate}. Use a currency code, a positive rate and a YYYY-MM-DD date.`)
+    );
+    return invalid.length > 0 ? null : rates;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isCurrencyCode,
+    roundMoney,
+    formatMoney,
+    CurrencyConverter,
+    loadExchangeRates,
+};
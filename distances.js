@@ -0,0 +1,78 @@
+// Distances between airports: the route table's distance when the pair is listed, otherwise the
+// great-circle distance between the two airports' coordinates. Airports in the UK (country "GB")
+// are the departure bases.
+
+// Import required modules
+const { loadCsv, findRecord } = require("./csv");
+const { AIRPORT_SCHEMA, ROUTE_SCHEMA } = require("./schemas");
+
+const UK_COUNTRY = "GB";
+const EARTH_RADIUS_KM = 6371;
+
+// Whether an airport record is a UK departure base
+function isUkAirport(airport) {
+    return Boolean(airport) && airport.country.toUpperCase() === UK_COUNTRY;
+}
+
+// The UK departure bases among the airports
+function ukAirports(airports) {
+    return airports.filter(isUkAirport);
+}
+
+// Great-circle distance in km between two airport records; returns null if either has no coordinates
+function greatCircleDistance(from, to) {
+    if ([from.latitude, from.longitude, to.latitude, to.longitude].some((value) => value === null || value === undefined)) return null;
+    const radians = (degrees) => (degrees * Math.PI) / 180;
+    const halfChord =
+        Math.sin(radians(to.latitude - from.latitude) / 2) ** 2 +
+        Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(radians(to.longitude - from.longitude) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(halfChord));
+}
+
+// Copy airports with the route table's distances attached, keyed by the code at the other end of each route
+function applyRouteDistances(airports, routes) {
+    return airports.map((airport) => {
+        const code = airport.code.toUpperCase();
+        const distances = {};
+        routes.forEach((route) => {
+            if (route.from.toUpperCase() === code) distances[route.to.toUpperCase()] = route.distance;
+            if (route.to.toUpperCase() === code) distances[route.from.toUpperCase()] = route.distance;
+        });
+        return { ...airport, distances };
+    });
+}
+
+// Distance in whole km between two airport codes; returns undefined if either airport is unknown,
+// or the pair is not in the route table and one of the airports has no coordinates
+function getDistance(airports, fromCode, toCode) {
+    const from = findRecord(airports, "code", String(fromCode));
+    const to = findRecord(airports, "code", String(toCode));
+    if (!from || !to) return undefined;
+
+    const listed = from.distances && from.distances[to.code.toUpperCase()];
+    if (listed !== undefined) return listed;
+    const distance = greatCircleDistance(from, to);
+    return distance === null ? undefined : Math.round(distance);
+}
+
+// Load the airports file and, when given, the route table; returns null if either cannot be loaded
+// or a route names an unknown airport
+function loadAirports(airportsFile, routesFile = null) {
+    const airports = loadCsv(airportsFile, AIRPORT_SCHEMA);
+    const routes = routesFile ? loadCsv(routesFile, ROUTE_SCHEMA) : [];
+    if (!airports || !routes) return null;
+
+    const unknown = routes.filter((route) => !findRecord(airports, "code", route.from) || !findRecord(airports, "code", route.to));
+    unknown.forEach((route) => console.error(`${routesFile}: Route ${route.from} to ${route.to} names an airport missing from ${airportsFile}.`));
+    return unknown.length > 0 ? null : applyRouteDistances(airports, routes);
+}
+
+module.exports = {
+    UK_COUNTRY,
+    isUkAirport,
+    ukAirports,
+    greatCircleDistance,
+    applyRouteDistances,
+    getDistance,
+    loadAirports,
+};
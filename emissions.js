@@ -0,0 +1,101 @@
+// Emissions model: CO2 from each aircraft's fuel burn, shared between passengers by cabin class.
+// Fuel is a fixed landing/take-off (LTO) cycle plus cruise burn over the distance and a
+// distance-dependent routing allowance, so short sectors carry a larger share per km.
+
+// Import required modules
+const { CABIN_CLASSES } = require("./schemas");
+const { formatMoney } = require("./currency");
+
+const DEFAULT_EMISSIONS_CONFIG = {
+    // kg of CO2 produced by burning 1 kg of jet fuel
+    co2PerKgFuel: 3.16,
+    // Share of the flight's CO2 per passenger relative to economy, reflecting the space each seat takes
+    classWeights: { economy: 1, premium: 1.6, business: 2.9, first: 4 },
+    // Multiplier for non-CO2 warming effects at altitude; 1 reports CO2 only
+    radiativeForcing: 1,
+    // Used for aircraft without fuel burn data: kg of CO2 per booked seat per km
+    legacyCo2PerSeatKm: 0.115,
+};
+
+// Extra km flown beyond the great-circle distance for holding, routing and approach
+function routingAllowanceKm(distance) {
+    if (distance < 550) return 50;
+    if (distance < 5500) return 100;
+    return 125;
+}
+
+// Build an emissions configuration from overrides of the defaults
+function emissionsConfig(overrides = {}) {
+    return {
+        ...DEFAULT_EMISSIONS_CONFIG,
+        ...overrides,
+        classWeights: { ...DEFAULT_EMISSIONS_CONFIG.classWeights, ...(overrides.classWeights || {}) },
+    };
+}
+
+// Calculate the CO2 of a flight record on an aircraft over a distance, in kg, per flight and per passenger by class
+function calculateEmissions(flight, aircraft, distance, config = DEFAULT_EMISSIONS_CONFIG) {
+    const bookedSeats = CABIN_CLASSES.reduce((sum, { seatsField }) => sum + flight[seatsField], 0);
+    const hasFuelData = aircraft.cruiseFuelBurn !== null && aircraft.cruiseFuelBurn !== undefined && aircraft.ltoFuel !== null && aircraft.ltoFuel !== undefined;
+
+    let fuel = null;
+    let co2;
+    if (hasFuelData) {
+        fuel = aircraft.ltoFuel + aircraft.cruiseFuelBurn * (distance + routingAllowanceKm(distance));
+        co2 = fuel * config.co2PerKgFuel * config.radiativeForcing;
+    } else {
+        co2 = distance * bookedSeats * config.legacyCo2PerSeatKm * config.radiativeForcing;
+    }
+
+    // Share the flight's CO2 between booked passengers in proportion to their class weights
+    const weightedPassengers = CABIN_CLASSES.reduce((sum, { name, seatsField }) => sum + flight[seatsField] * config.classWeights[name], 0);
+    const perPassenger =
+        weightedPassengers > 0 ? Object.fromEntries(CABIN_CLASSES.map(({ name }) => [name, (co2 * config.classWeights[name]) / weightedPassengers])) : null;
+
+    return {
+        model: hasFuelData ? "fuel-burn" : "per-seat",
+        fuel,
+        co2,
+        co2PerPassenger: bookedSeats > 0 ? co2 / bookedSeats : null,
+        perPassengerByClass: perPassenger,
+        radiativeForcing: config.radiativeForcing,
+    };
+}
+
+// Rank calculated flights by kg of CO2 per unit of profit in the reporting currency, lowest first;
+// loss-making flights are listed last
+function rankByEmissionsPerProfit(results) {
+    return results
+        .map((result) => ({ result, co2PerUnitProfit: result.profit > 0 ? result.co2Emissions / result.profit : null }))
+        .sort((a, b) => {
+            if (a.co2PerUnitProfit === null || b.co2PerUnitProfit === null) return (a.co2PerUnitProfit === null) - (b.co2PerUnitProfit === null);
+            return a.co2PerUnitProfit - b.co2PerUnitProfit;
+        });
+}
+
+// Format an emissions ranking as a plain-text report
+function formatEmissionsReport(ranking) {
+    return ranking
+        .map(({ result, co2PerUnitProfit }, i) => {
+            const perClass = result.co2PerPassengerByClass
+                ? CABIN_CLASSES.filter(({ seatsField }) => result[seatsField] > 0)
+                      .map(({ name }) => `${name} ${result.co2PerPassengerByClass[name].toFixed(2)} kg`)
+                      .join(", ")
+                : "no passengers";
+            return (
+                `${i + 1}. Flight from ${result.ukAirport} to ${result.overseasAirport} using ${result.aircraftType}:\n` +
+                `  CO2: ${result.co2Emissions.toFixed(2)} kg per flight, per passenger: ${perClass}\n` +
+                `  Profit: ${formatMoney(result.profit, result.currency)}, CO2 per ${result.currency} of profit: ${co2PerUnitProfit === null ? "N/A (loss-making)" : `${co2PerUnitProfit.toFixed(3)} kg`}\n`
+            );
+        })
+        .join("\n");
+}
+
+module.exports = {
+    DEFAULT_EMISSIONS_CONFIG,
+    routingAllowanceKm,
+    emissionsConfig,
+    calculateEmissions,
+    rankByEmissionsPerProfit,
+    formatEmissionsReport,
+};
@@ -0,0 +1,195 @@
+// Fleet assignment: evaluates every aircraft type on every route from each UK base,
+// ranks the ones that can fly it, and assigns a limited fleet across the whole network.
+
+// Import required modules
+const { CABIN_CLASSES } = require("./schemas");
+const { getDistance } = require("./distances");
+const { expectedDemand, findDemandModels } = require("./pricing");
+const { DEFAULT_CURRENCY, formatMoney } = require("./currency");
+
+const RANKINGS = {
+    profit: (a, b) => b.profit - a.profit,
+    // Options without a margin (no income) rank last
+    margin: (a, b) => (a.profitMargin === null || b.profitMargin === null ? (a.profitMargin === null) - (b.profitMargin === null) : b.profitMargin - a.profitMargin),
+    co2: (a, b) => a.co2Emissions - b.co2Emissions,
+};
+
+// Flight record for a route of the given distance on an aircraft, booking the demand at each class's reference price.
+// Returns { reason } instead when the aircraft cannot fly the route or seat the demand.
+function routeFlight(ukAirport, airport, distance, aircraft, models, allowSpill) {
+    if (distance > aircraft.maxFlightRange) {
+        return { reason: `out of range (${distance} km > ${aircraft.maxFlightRange} km)` };
+    }
+
+    const flight = { ukAirport, overseasAirport: airport.code, aircraftType: aircraft.type };
+    const shortfalls = [];
+    CABIN_CLASSES.forEach(({ name, label, seatsField, priceField, currencyField }) => {
+        const model = models[name];
+        const demand = model ? Math.floor(expectedDemand(model, model.referencePrice)) : 0;
+        if (demand > aircraft[seatsField]) shortfalls.push(`${demand} ${label} passengers but ${aircraft[seatsField]} seats`);
+        flight[seatsField] = Math.min(demand, aircraft[seatsField]);
+        flight[priceField] = model ? model.referencePrice : 0;
+        if (model) flight[currencyField] = model.referencePriceCurrency;
+    });
+    if (shortfalls.length > 0 && !allowSpill) {
+        return { reason: `too small (${shortfalls.join(", ")})` };
+    }
+    return { flight };
+}
+
+// Evaluate every aircraft type on every route with demand, ranking the ones that can operate it
+function rankAircraftForRoutes(calculator, demand, ukAirports, rankBy = "profit", allowSpill = false) {
+    const routes = [];
+    for (const ukAirport of ukAirports) {
+        for (const airport of calculator.airports) {
+            const distance = getDistance(calculator.airports, ukAirport, airport.code);
+            if (airport.code.toUpperCase() === ukAirport.toUpperCase() || distance === undefined) continue;
+            const { models, error } = findDemandModels(demand, ukAirport, airport.code);
+            if (error) {
+                routes.push({ ukAirport, overseasAirport: airport.code, error });
+                continue;
+            }
+            if (Object.keys(models).length === 0) continue;
+
+            const options = [];
+            const excluded = [];
+            for (const aircraft of calculator.aircrafts) {
+                const { flight, reason } = routeFlight(ukAirport, airport, distance, aircraft, models, allowSpill);
+                const result = flight ? calculator.calculateProfit(flight) : null;
+                if (reason || result.error) {
+                    excluded.push({ aircraftType: aircraft.type, reason: reason || result.error });
+                    continue;
+                }
+                options.push({
+                    aircraftType: aircraft.type,
+                    flight,
+                    result,
+                    profit: result.profit,
+                    profitMargin: result.profitMargin,
+                    co2Emissions: result.co2Emissions,
+                });
+            }
+            options.sort(RANKINGS[rankBy]);
+            routes.push({ ukAirport, overseasAirport: airport.code, distance, options, excluded });
+        }
+    }
+    return routes;
+}
+
+// Assign at most one aircraft to each route to maximise total profit without using more aircraft of a type than the
+// inventory holds. Routes are left unserved when no aircraft is free or every option loses money.
+// Solved exactly as a min-cost flow: one unit of flow per served route, from the route to an aircraft type at the cost
+// of minus the option's profit, and from each type to the sink up to its count. Each step sends one more route along
+// the cheapest path, and the search stops once that path no longer adds profit, so the work grows with routes × types
+// rather than with the number of ways to share out the fleet
+function assignFleet(routes, inventory) {
+    const types = inventory.map(({ aircraftType }) => aircraftType.toUpperCase());
+    const servable = routes.filter((route) => route.options && route.options.length > 0);
+
+    // Nodes: the source, one per route, one per aircraft type, then the sink
+    const source = 0;
+    const routeNode = (i) => 1 + i;
+    const typeNode = (t) => 1 + servable.length + t;
+    const sink = 1 + servable.length + types.length;
+    const edges = [];
+    const outgoing = Array.from({ length: sink + 1 }, () => []);
+    const addEdge = (from, to, capacity, cost, option = null) => {
+        outgoing[from].push(edges.length);
+        edges.push({ to, capacity, cost, option });
+        outgoing[to].push(edges.length);
+        edges.push({ to: from, capacity: 0, cost: -cost, option: null });
+    };
+
+    servable.forEach((route, i) => {
+        addEdge(source, routeNode(i), 1, 0);
+        // The most profitable option of each type available for the route
+        const bestByType = new Map();
+        for (const option of route.options) {
+            const typeIndex = types.indexOf(option.aircraftType.toUpperCase());
+            if (typeIndex === -1 || option.profit <= 0) continue;
+            if (!bestByType.has(typeIndex) || option.profit > bestByType.get(typeIndex).profit) bestByType.set(typeIndex, option);
+        }
+        bestByType.forEach((option, typeIndex) => addEdge(routeNode(i), typeNode(typeIndex), 1, -option.profit, option));
+    });
+    inventory.forEach(({ count }, t) => addEdge(typeNode(t), sink, count, 0));
+
+    // Cheapest path from the source to the sink through edges with capacity left (Bellman-Ford, as costs are negative)
+    const cheapestPath = () => {
+        const cost = new Array(sink + 1).fill(Infinity);
+        const via = new Array(sink + 1).fill(-1);
+        cost[source] = 0;
+        for (let pass = 0, changed = true; pass <= sink && changed; pass++) {
+            changed = false;
+            for (let node = 0; node <= sink; node++) {
+                if (cost[node] === Infinity) continue;
+                for (const e of outgoing[node]) {
+                    const edge = edges[e];
+                    if (edge.capacity > 0 && cost[node] + edge.cost < cost[edge.to] - 1e-9) {
+                        cost[edge.to] = cost[node] + edge.cost;
+                        via[edge.to] = e;
+                        changed = true;
+                    }
+                }
+            }
+        }
+        return { cost: cost[sink], via };
+    };
+
+    for (let path = cheapestPath(); path.cost < -1e-9; path = cheapestPath()) {
+        for (let node = sink; node !== source; node = edges[path.via[node] ^ 1].to) {
+            edges[path.via[node]].capacity--;
+            edges[path.via[node] ^ 1].capacity++;
+        }
+    }
+
+    // A route is served by the option whose edge carries flow
+    const assignments = servable.map((route, i) => {
+        const used = outgoing[routeNode(i)].map((e) => edges[e]).find((edge) => edge.option && edge.capacity === 0);
+        return { route, option: used ? used.option : null };
+    });
+    const profit = assignments.reduce((sum, { option }) => sum + (option ? option.profit : 0), 0);
+    const used = Object.fromEntries(inventory.map(({ aircraftType }) => [aircraftType, 0]));
+    assignments.forEach(({ option }) => {
+        if (option) used[inventory[types.indexOf(option.aircraftType.toUpperCase())].aircraftType]++;
+    });
+    return { assignments, totalProfit: profit, used };
+}
+
+// Format route rankings as a plain-text report
+function formatRouteRankings(routes) {
+    return routes
+        .map((route) => {
+            const lines = [`${route.ukAirport} to ${route.overseasAirport}${route.distance !== undefined ? ` (${route.distance} km)` : ""}:`];
+            if (route.error) {
+                lines.push(`  ${route.error}`);
+            } else if (route.options.length === 0) {
+                lines.push("  No aircraft can operate this route.");
+            }
+            (route.options || []).forEach((option, i) => {
+                lines.push(`  ${i + 1}. ${option.aircraftType} - Profit: ${formatMoney(option.profit, option.result.currency)}, Margin: ${option.profitMargin === null ? "N/A" : `${option.profitMargin.toFixed(2)}%`}, CO2: ${option.co2Emissions.toFixed(2)} kg`);
+            });
+            (route.excluded || []).forEach(({ aircraftType, reason }) => lines.push(`  Excluded ${aircraftType}: ${reason}`));
+            return lines.join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+// Format a network assignment as a plain-text report, with profits in the calculator's reporting currency
+function formatFleetAssignment({ assignments, totalProfit, used }, inventory, currency = DEFAULT_CURRENCY) {
+    const lines = ["Network assignment:"];
+    assignments.forEach(({ route, option }) => {
+        const target = `${route.ukAirport} to ${route.overseasAirport}`;
+        lines.push(option ? `  ${target}: ${option.aircraftType} - Profit: ${formatMoney(option.profit, currency)}` : `  ${target}: unserved`);
+    });
+    lines.push(`  Aircraft used: ${inventory.map(({ aircraftType, count }) => `${aircraftType} ${used[aircraftType]}/${count}`).join(", ")}`);
+    lines.push(`  Total profit: ${formatMoney(totalProfit, currency)}`);
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    RANKINGS,
+    rankAircraftForRoutes,
+    assignFleet,
+    formatRouteRankings,
+    formatFleetAssignment,
+};
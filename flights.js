@@ -0,0 +1,257 @@
+// Flight profit library: loaders, the Flight model and the profit calculator.
+// Requiring this module has no side effects; the command-line tools live in cli.js.
+
+// Import required modules
+const { DEFAULT_CURRENCY, parseCsv, readCsv, loadCsv, formatCsvError, findRecord } = require("./csv");
+const schemas = require("./schemas");
+const { ERROR_CODES, violation, validateFlight } = require("./validation");
+const { getDistance, loadAirports } = require("./distances");
+const { analyseBreakEven } = require("./breakEven");
+const { emissionsConfig, calculateEmissions } = require("./emissions");
+const { CurrencyConverter, roundMoney, formatMoney } = require("./currency");
+const { DEFAULT_COST_MODEL, costCurrencies, flightCosts, costBreakdown, formatCostBreakdown } = require("./costs");
+const { loadCabinLayouts, findLayout, applyLayout } = require("./cabins");
+
+const { AIRCRAFT_SCHEMA, FLIGHT_SCHEMA, CABIN_CLASSES } = schemas;
+
+// Round a figure such as a percentage or a weight for the results
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor + 0;
+}
+
+// Class to represent a Flight
+class Flight {
+    constructor(flightData) {
+        // Copy the typed fields of a flight record loaded with FLIGHT_SCHEMA
+        this.ukAirport = flightData.ukAirport;
+        this.overseasAirport = flightData.overseasAirport;
+        this.aircraftType = flightData.aircraftType;
+        this.economySeats = flightData.economySeats;
+        this.businessSeats = flightData.businessSeats;
+        this.firstClassSeats = flightData.firstClassSeats;
+        this.economyPrice = flightData.economyPrice;
+        this.businessPrice = flightData.businessPrice;
+        this.firstClassPrice = flightData.firstClassPrice;
+        this.economyPriceCurrency = flightData.economyPriceCurrency || DEFAULT_CURRENCY;
+        this.businessPriceCurrency = flightData.businessPriceCurrency || DEFAULT_CURRENCY;
+        this.firstClassPriceCurrency = flightData.firstClassPriceCurrency || DEFAULT_CURRENCY;
+        // Premium economy and the cabin layout are optional, so records without them have neither
+        this.premiumSeats = flightData.premiumSeats ?? 0;
+        this.premiumPrice = flightData.premiumPrice ?? 0;
+        this.premiumPriceCurrency = flightData.premiumPriceCurrency || DEFAULT_CURRENCY;
+        this.cabinLayout = flightData.cabinLayout || null;
+    }
+
+    // Total number of seats booked across all classes
+    get totalBookedSeats() {
+        return CABIN_CLASSES.reduce((sum, { seatsField }) => sum + this[seatsField], 0);
+    }
+}
+
+// Class to calculate flight profits
+class FlightProfitCalculator {
+    // Options: { emissions } overrides the emissions model settings (see emissions.js), { costModel } picks the
+    // operating cost model (see costs.js), { currency } is the currency results are reported in and { converter } converts into it (see currency.js),
+    // and { cabinLayouts } lists the layouts flights can name (see cabins.js)
+    constructor(airports, aircrafts, options = {}) {
+        this.airports = airports;
+        this.aircrafts = aircrafts;
+        this.cabinLayouts = options.cabinLayouts || [];
+        this.emissions = emissionsConfig(options.emissions);
+        this.costModel = options.costModel || DEFAULT_COST_MODEL;
+        this.currency = options.currency || DEFAULT_CURRENCY;
+        this.converter = options.converter || new CurrencyConverter();
+    }
+
+    // The aircraft a flight flies on: its record, fitted with the flight's cabin layout when it names one.
+    // Returns null if the aircraft type or layout is unknown
+    aircraftFor(flightData) {
+        const aircraft = findRecord(this.aircrafts, "type", String(flightData.aircraftType));
+        if (!aircraft || !flightData.cabinLayout) return aircraft || null;
+        const layout = findLayout(this.cabinLayouts, aircraft.type, flightData.cabinLayout);
+        return layout ? applyLayout(aircraft, layout) : null;
+    }
+
+    // Validate a flight and look up its airport, aircraft (with the flight's cabin layout) and operating costs. The flight
+    // returned has its fares, and the costs, converted into the reporting currency.
+    // Returns { error, code, violations } if the flight breaks any rule or a currency has no exchange rate.
+    // With { allowOverbooking }, bookings above a class's or the aircraft's capacity are accepted.
+    prepareFlight(flightData, { allowOverbooking = false } = {}) {
+        const flight = flightData instanceof Flight ? flightData : new Flight(flightData);
+        const overbooking = [ERROR_CODES.CLASS_OVERBOOKED, ERROR_CODES.TOTAL_OVERBOOKED];
+        const violations = validateFlight(flight, this.airports, this.aircrafts, this.cabinLayouts, this.converter).filter(({ code }) => !allowOverbooking || !overbooking.includes(code));
+        if (violations.length > 0) {
+            return { error: violations[0].message, code: violations[0].code, violations };
+        }
+
+        const origin = findRecord(this.airports, "code", flight.ukAirport);
+        const airport = findRecord(this.airports, "code", flight.overseasAirport);
+        const aircraft = this.aircraftFor(flight);
+        const distance = getDistance(this.airports, flight.ukAirport, flight.overseasAirport);
+        const records = { aircraft, origin, destination: airport };
+
+        // Convert the fares and costs into the reporting currency; the fares' currencies were checked with the flight
+        const currencies = [this.currency, ...costCurrencies(this.costModel, records)];
+        const unknown = currencies.find((currency) => this.converter.rateFor(currency) === null);
+        if (unknown) {
+            const message = `Flight from ${flight.ukAirport} to ${flight.overseasAirport} by ${flight.aircraftType}: ${this.converter.missingRateMessage(unknown)}`;
+            return { error: message, code: ERROR_CODES.UNKNOWN_CURRENCY, violations: [violation(ERROR_CODES.UNKNOWN_CURRENCY, message)] };
+        }
+        const converted = new Flight(flight);
+        CABIN_CLASSES.forEach(({ priceField, currencyField }) => {
+            converted[priceField] = this.converter.convert(flight[priceField], flight[currencyField], this.currency);
+            converted[currencyField] = this.currency;
+        });
+        const costs = flightCosts(this.costModel, records, distance, (amount, currency) => this.converter.convert(amount, currency, this.currency));
+        return { flight: converted, airport, aircraft, distance, costs };
+    }
+
+    // Calculate profit for a flight; returns { error, code, violations } if the flight breaks any rule
+    calculateProfit(flightData) {
+        const prepared = this.prepareFlight(flightData);
+        if (prepared.error) return prepared;
+
+        // Extract and calculate relevant data
+        const { flight, aircraft, distance, costs } = prepared;
+        const totalSeats = CABIN_CLASSES.reduce((sum, { seatsField }) => sum + aircraft[seatsField], 0);
+        const totalBookedSeats = flight.totalBookedSeats;
+
+        // Calculate economic factors
+        const income = CABIN_CLASSES.reduce((sum, { seatsField, priceField }) => sum + flight[seatsField] * flight[priceField], 0);
+        const cost = costBreakdown(costs, totalBookedSeats);
+        const profit = income - cost.total;
+        const breakEven = analyseBreakEven(flight, aircraft, costs);
+        const loadFactor = (totalBookedSeats / totalSeats) * 100;
+        // A flight with no income, such as one with no bookings, has no margin
+        const profitMargin = income === 0 ? null : (profit / income) * 100;
+        const emissions = calculateEmissions(flight, aircraft, distance, this.emissions);
+
+        // Return calculation results, with amounts rounded to the currency's minor unit and other figures to 2 decimals
+        const money = (amount) => roundMoney(amount, this.currency);
+        return {
+            ukAirport: flight.ukAirport,
+            overseasAirport: flight.overseasAirport,
+            aircraftType: flight.aircraftType,
+            cabinLayout: aircraft.cabinLayout || null,
+            economySeats: flight.economySeats,
+            premiumSeats: flight.premiumSeats,
+            businessSeats: flight.businessSeats,
+            firstClassSeats: flight.firstClassSeats,
+            distance,
+            totalSeats,
+            currency: this.currency,
+            income: money(income),
+            cost: money(cost.total),
+            costModel: costs.model,
+            costBreakdown: Object.fromEntries(Object.entries(cost.items).map(([item, amount]) => [item, money(amount)])),
+            profit: money(profit),
+            breakEvenSeats: breakEven.breakEvenSeats,
+            breakEvenLoadFactor: breakEven.breakEvenLoadFactor === null ? null : round(breakEven.breakEvenLoadFactor * 100),
+            breakEvenFeasible: breakEven.feasible,
+            loadFactor: round(loadFactor),
+            profitMargin: profitMargin === null ? null : round(profitMargin),
+            co2Emissions: round(emissions.co2),
+            co2PerPassenger: emissions.co2PerPassenger === null ? null : round(emissions.co2PerPassenger),
+            co2PerPassengerByClass:
+                emissions.perPassengerByClass && Object.fromEntries(Object.entries(emissions.perPassengerByClass).map(([name, co2]) => [name, round(co2)])),
+        };
+    }
+
+    // Analyse break-even for a flight, optionally finding the minimum fares at a target load factor (0-1)
+    analyseBreakEven(flightData, targetLoadFactor = null) {
+        const prepared = this.prepareFlight(flightData);
+        if (prepared.error) return prepared;
+
+        const { flight, aircraft, costs } = prepared;
+        return { flight, aircraft, currency: this.currency, ...analyseBreakEven(flight, aircraft, costs, targetLoadFactor) };
+    }
+
+    // Calculate every flight, splitting the outcomes into results and failures
+    calculateFlights(flights) {
+        const results = [];
+        const failures = [];
+        flights.forEach((flightData) => {
+            const result = this.calculateProfit(flightData);
+            if (result.error) failures.push({ flight: flightData, ...result });
+            else results.push(result);
+        });
+        return { results, failures };
+    }
+}
+
+// Load the airports, route table, aircraft and cabin layout files; returns null if any cannot be loaded.
+// The route table is optional; without it every distance is worked out from the airports' coordinates.
+// The cabin layouts are optional too; without them every aircraft has the seats listed in the aircraft file.
+function loadReferenceData(airportsFile, aircraftsFile, routesFile = null, cabinsFile = null) {
+    const airports = loadAirports(airportsFile, routesFile);
+    const aircrafts = loadCsv(aircraftsFile, AIRCRAFT_SCHEMA);
+    const cabinLayouts = !aircrafts ? null : cabinsFile ? loadCabinLayouts(cabinsFile, aircrafts) : [];
+    if (!airports || !aircrafts || !cabinLayouts) {
+        console.error("Error: Could not load necessary data files.");
+        return null;
+    }
+    return { airports, aircrafts, cabinLayouts };
+}
+
+// Load the airports, route table, aircraft, cabin layout and flights files; returns null if any cannot be loaded
+function loadFlightData(flightsFile, airportsFile, aircraftsFile, routesFile = null, cabinsFile = null) {
+    const referenceData = loadReferenceData(airportsFile, aircraftsFile, routesFile, cabinsFile);
+    const parsed = readCsv(flightsFile, FLIGHT_SCHEMA);
+    if (parsed) parsed.errors.forEach((error) => console.error(formatCsvError(error)));
+    if (!referenceData) return null;
+    if (!parsed || (parsed.records.length === 0 && parsed.errors.length > 0)) {
+        console.error("Error: Could not load necessary data files.");
+        return null;
+    }
+    // Rows the loader rejected are kept as failures, so they count against the run like flights that fail to calculate
+    const rejected = parsed.errors.map((error) => ({ flight: null, error: formatCsvError(error) }));
+    return { ...referenceData, flights: parsed.records, rejected };
+}
+
+// Format profit results as the plain-text report; itemised costs get a line of their own, and premium economy
+// and the cabin layout are shown only for flights that have them
+function formatProfitResults(results) {
+    return results
+        .map(
+            (result) =>
+                `Flight from ${result.ukAirport} to ${result.overseasAirport} using ${result.aircraftType}${result.cabinLayout ? ` (${result.cabinLayout} layout)` : ""}:\n` +
+                `  Economy Seats: ${result.economySeats}, ${result.premiumSeats > 0 ? `Premium Economy Seats: ${result.premiumSeats}, ` : ""}Business Seats: ${result.businessSeats}, First Class Seats: ${result.firstClassSeats}\n` +
+                `  Income: ${formatMoney(result.income, result.currency)}, Cost: ${formatMoney(result.cost, result.currency)}, Profit: ${formatMoney(result.profit, result.currency)}\n` +
+                (result.costModel === "per-seat" ? "" : `  Costs: ${formatCostBreakdown(result.costBreakdown, result.currency)}\n`) +
+                `  Break-even Seats: ${result.breakEvenSeats ?? "N/A"}, Load Factor: ${result.loadFactor.toFixed(2)}%, Profit Margin: ${result.profitMargin === null ? "N/A" : `${result.profitMargin.toFixed(2)}%`}, CO2 Emissions: ${result.co2Emissions.toFixed(2)} kg\n`
+        )
+        .join("\n");
+}
+
+// Format the booked seats of each flight alongside its aircraft capacity, with the flight's cabin layout when it names one
+function formatFlightDetails(flights, aircrafts, cabinLayouts = []) {
+    return flights
+        .map((flight) => {
+            const record = findRecord(aircrafts, "type", flight.aircraftType);
+            const layout = record && flight.cabinLayout ? findLayout(cabinLayouts, record.type, flight.cabinLayout) : null;
+            const aircraft = layout ? applyLayout(record, layout) : record;
+            const totalSeats = aircraft ? CABIN_CLASSES.reduce((sum, { seatsField }) => sum + aircraft[seatsField], 0) : "N/A";
+            const premium = flight.premiumSeats > 0 ? `Premium Economy Seats Booked: ${flight.premiumSeats}, ` : "";
+            return (
+                `Flight from ${flight.ukAirport} to ${flight.overseasAirport}:\n` +
+                `  Aircraft Type: ${flight.aircraftType}${layout ? ` (${layout.name} layout)` : ""}, Total Seats: ${totalSeats}\n` +
+                `  Economy Seats Booked: ${flight.economySeats}, ${premium}Business Seats Booked: ${flight.businessSeats}, First Class Seats Booked: ${flight.firstClassSeats}\n`
+            );
+        })
+        .join("\n");
+}
+
+module.exports = {
+    ...schemas,
+    Flight,
+    FlightProfitCalculator,
+    parseCsv,
+    readCsv,
+    loadCsv,
+    findRecord,
+    loadReferenceData,
+    loadFlightData,
+    formatProfitResults,
+    formatFlightDetails,
+};
@@ -0,0 +1,250 @@
+// History of profit runs, kept as JSON lines: one run per line with its id, timestamp, a SHA-256 hash of
+// each input file and, for every flight, the result or error alongside the inputs that produced it (the
+// flight record, its aircraft fitted with the flight's cabin layout, its airports, and the distance). Two runs
+// can then be compared flight by flight, listing the changed results together with the changed inputs that explain them.
+
+// Import required modules
+const fs = require("fs");
+const crypto = require("crypto");
+const { findRecord } = require("./csv");
+const { getDistance } = require("./distances");
+const { formatMoney } = require("./currency");
+
+const DEFAULT_HISTORY_FILE = "history.jsonl";
+
+// Results compared between runs, with how a change in each is shown
+const DIFF_METRICS = [
+    { field: "income", label: "Income", type: "money" },
+    { field: "cost", label: "Cost", type: "money" },
+    { field: "profit", label: "Profit", type: "money" },
+    { field: "profitMargin", label: "Margin", type: "percent" },
+    { field: "co2Emissions", label: "CO2", type: "kg" },
+];
+
+// SHA-256 hash of a file's contents, or null if it cannot be read
+function hashFile(filename) {
+    try {
+        return crypto.createHash("sha256").update(fs.readFileSync(filename)).digest("hex");
+    } catch (err) {
+        return null;
+    }
+}
+
+// Airport record without the route table's distances, which the run records separately
+function airportInputs(airport) {
+    if (!airport) return null;
+    const { distances, ...fields } = airport;
+    return fields;
+}
+
+// Record a run of the calculator over flights: files maps each input's name (e.g. "flights") to its path
+function recordRun(calculator, flights, files, options = {}) {
+    const entries = flights.map((flight) => {
+        const result = calculator.calculateProfit(flight);
+        return {
+            inputs: {
+                flight,
+                aircraft: calculator.aircraftFor(flight) || findRecord(calculator.aircrafts, "type", String(flight.aircraftType)) || null,
+                origin: airportInputs(findRecord(calculator.airports, "code", String(flight.ukAirport))),
+                destination: airportInputs(findRecord(calculator.airports, "code", String(flight.overseasAirport))),
+                distance: getDistance(calculator.airports, flight.ukAirport, flight.overseasAirport) ?? null,
+            },
+            result: result.error ? null : result,
+            error: result.error ? { code: result.code, message: result.error } : null,
+        };
+    });
+    return {
+        timestamp: new Date().toISOString(),
+        files: Object.fromEntries(Object.entries(files).filter(([, file]) => file).map(([name, file]) => [name, { file, hash: hashFile(file) }])),
+        options: { currency: calculator.currency, costModel: calculator.costModel, ...options },
+        entries,
+    };
+}
+
+// Load every run from a history file; returns [] if the file does not exist yet and null if it cannot be read
+function loadHistory(historyFile) {
+    if (!fs.existsSync(historyFile)) return [];
+    try {
+        const lines = fs.readFileSync(historyFile, { encoding: "utf-8" }).split(/\r?\n/);
+        const runs = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].trim() === "") continue;
+            try {
+                runs.push(JSON.parse(lines[i]));
+            } catch (err) {
+                console.error(`${historyFile}:${i + 1}: Invalid run: ${err.message}`);
+                return null;
+            }
+        }
+        return runs;
+    } catch (err) {
+        console.error("Error reading file:", err.message);
+        return null;
+    }
+}
+
+// Append a run to a history file, numbering it after the last run; returns the run with its id, or null on failure
+function appendRun(historyFile, run) {
+    const runs = loadHistory(historyFile);
+    if (!runs) return null;
+    const saved = { id: runs.length > 0 ? runs[runs.length - 1].id + 1 : 1, ...run };
+    try {
+        fs.appendFileSync(historyFile, JSON.stringify(saved) + "\n", { encoding: "utf-8" });
+        return saved;
+    } catch (err) {
+        console.error("Error writing file:", err.message);
+        return null;
+    }
+}
+
+// Find a run by id; "latest" and "previous" pick the last and second-to-last runs
+function findRun(runs, id) {
+    if (id === "latest") return runs[runs.length - 1] || null;
+    if (id === "previous") return runs[runs.length - 2] || null;
+    return runs.find((run) => String(run.id) === String(id)) || null;
+}
+
+// Key matching a flight between runs; repeats of the same route and aircraft are numbered in file order
+function entryKeys(entries) {
+    const seen = new Map();
+    return entries.map(({ inputs: { flight } }) => {
+        const base = `${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count === 1 ? base : `${base} #${count}`;
+    });
+}
+
+// Fields whose values differ between two records, as [{ name, from, to }] with names prefixed by the record's label
+function changedFields(label, from, to) {
+    const names = [...new Set([...Object.keys(from || {}), ...Object.keys(to || {})])];
+    return names
+        .filter((name) => JSON.stringify((from || {})[name]) !== JSON.stringify((to || {})[name]))
+        .map((name) => ({ name: `${label}.${name}`, from: (from || {})[name] ?? null, to: (to || {})[name] ?? null }));
+}
+
+// Inputs of a flight that differ between two runs
+function changedInputs(from, to) {
+    const changes = ["flight", "aircraft", "origin", "destination"].flatMap((record) => changedFields(record, from[record], to[record]));
+    if (from.distance !== to.distance) changes.push({ name: "distance", from: from.distance, to: to.distance });
+    return changes;
+}
+
+// Compare two runs flight by flight: each flight's status ("changed", "unchanged", "added" or "removed"),
+// the change in each metric and the inputs that changed, plus the options and input files that changed for the whole run
+function diffRuns(from, to) {
+    const fromKeys = entryKeys(from.entries);
+    const toKeys = entryKeys(to.entries);
+    const fromByKey = new Map(from.entries.map((entry, i) => [fromKeys[i], entry]));
+    const toByKey = new Map(to.entries.map((entry, i) => [toKeys[i], entry]));
+
+    const flights = [...new Set([...fromKeys, ...toKeys])].map((key) => {
+        const before = fromByKey.get(key);
+        const after = toByKey.get(key);
+        if (!before || !after) return { key, status: before ? "removed" : "added", before: before || null, after: after || null, metrics: [], inputs: [] };
+
+        const metrics =
+            before.result && after.result
+                ? DIFF_METRICS.map((metric) => ({ ...metric, from: before.result[metric.field] ?? null, to: after.result[metric.field] ?? null })).filter(({ from, to }) => from !== to)
+                : [];
+        const inputs = changedInputs(before.inputs, after.inputs);
+        const errorChanged = JSON.stringify(before.error) !== JSON.stringify(after.error);
+        const status = metrics.length > 0 || errorChanged ? "changed" : "unchanged";
+        return { key, status, before, after, metrics, inputs };
+    });
+
+    return {
+        from,
+        to,
+        options: changedFields("option", from.options, to.options),
+        files: Object.keys({ ...from.files, ...to.files })
+            .filter((name) => (from.files[name] || {}).hash !== (to.files[name] || {}).hash)
+            .map((name) => ({ name, from: from.files[name] || null, to: to.files[name] || null })),
+        flights,
+    };
+}
+
+// Format the runs of a history file as a list, one line per run
+function formatRunList(runs) {
+    return runs
+        .map((run) => {
+            const calculated = run.entries.filter((entry) => entry.result);
+            const currency = run.options.currency;
+            const profit = calculated.reduce((sum, entry) => sum + entry.result.profit, 0);
+            const flights = run.files.flights ? run.files.flights.file : "flights";
+            return (
+                `Run ${run.id} at ${run.timestamp}: ${flights}, ${calculated.length} of ${run.entries.length} flights calculated, ` +
+                `total profit ${formatMoney(profit, currency)} (${run.options.costModel} costs in ${currency})`
+            );
+        })
+        .join("\n");
+}
+
+// Show a metric's value, e.g. "£1,234.00", "52.91%" or "63566.56 kg"; a missing value, such as the margin of a
+// flight without income, shows as "N/A"
+function formatMetric(metric, value, currency) {
+    if (!Number.isFinite(value)) return "N/A";
+    if (metric.type === "money") return formatMoney(value, currency);
+    if (metric.type === "percent") return `${value.toFixed(2)}%`;
+    return `${value.toFixed(2)} kg`;
+}
+
+// Show the change in a metric, e.g. "+£120.00", "-1.50 pts" or "+12.00 kg"; amounts in different currencies are not subtracted
+function formatMetricChange(metric, from, to, currencies) {
+    const change = to - from;
+    const sign = change < 0 ? "-" : "+";
+    if (metric.type === "money") return currencies[0] === currencies[1] ? `${sign}${formatMoney(Math.abs(change), currencies[1])}` : "currency changed";
+    if (metric.type === "percent") return `${sign}${Math.abs(change).toFixed(2)} pts`;
+    return `${sign}${Math.abs(change).toFixed(2)} kg`;
+}
+
+// Show an input's value for the diff
+function formatInput(value) {
+    return value === null || value === undefined ? "none" : JSON.stringify(value);
+}
+
+// Format a run comparison as a plain-text report; unchanged flights are only counted unless showUnchanged is set
+function formatRunDiff(diff, showUnchanged = false) {
+    const { from, to } = diff;
+    const currencies = [from.options.currency, to.options.currency];
+    const lines = [`Run ${from.id} (${from.timestamp}) -> run ${to.id} (${to.timestamp})`];
+    diff.options.forEach(({ name, from: before, to: after }) => lines.push(`  ${name}: ${formatInput(before)} -> ${formatInput(after)}`));
+    diff.files.forEach(({ name, from: before, to: after }) =>
+        lines.push(`  ${name} file changed: ${before ? `${before.file} (${String(before.hash).slice(0, 12)})` : "none"} -> ${after ? `${after.file} (${String(after.hash).slice(0, 12)})` : "none"}`)
+    );
+
+    diff.flights.forEach(({ key, status, before, after, metrics, inputs }) => {
+        if (status === "unchanged" && !showUnchanged) return;
+        lines.push("", `${key}: ${status}`);
+        if (status === "added" || status === "removed") {
+            const entry = after || before;
+            lines.push(entry.result ? `  Profit: ${formatMoney(entry.result.profit, entry.result.currency)}` : `  Error: ${entry.error.message}`);
+            return;
+        }
+        if (before.error) lines.push(`  Failed in run ${from.id}: ${before.error.message}`);
+        if (after.error) lines.push(`  Failed in run ${to.id}: ${after.error.message}`);
+        metrics.forEach((metric) => {
+            // A change from or to a missing value has no amount
+            const change = Number.isFinite(metric.from) && Number.isFinite(metric.to) ? ` (${formatMetricChange(metric, metric.from, metric.to, currencies)})` : "";
+            lines.push(`  ${metric.label}: ${formatMetric(metric, metric.from, currencies[0])} -> ${formatMetric(metric, metric.to, currencies[1])}${change}`);
+        });
+        if (inputs.length > 0) lines.push(`  Changed inputs: ${inputs.map(({ name, from: a, to: b }) => `${name} ${formatInput(a)} -> ${formatInput(b)}`).join(", ")}`);
+    });
+
+    const counts = ["changed", "unchanged", "added", "removed"].map((status) => `${diff.flights.filter((flight) => flight.status === status).length} ${status}`);
+    lines.push("", `Flights: ${counts.join(", ")}`);
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    DEFAULT_HISTORY_FILE,
+    DIFF_METRICS,
+    hashFile,
+    recordRun,
+    loadHistory,
+    appendRun,
+    findRun,
+    diffRuns,
+    formatRunList,
+    formatRunDiff,
+};
@@ -0,0 +1,181 @@
+// Interactive what-if session. Prompts for a flight one answer at a time, with tab completion from the
+// loaded airports and aircraft, re-prompts on invalid answers and calculates the flight's profit.
+// Each new query offers the previous answers as defaults, so one fare or booking can be changed
+// without retyping the rest; "quit" or Ctrl+D ends the session.
+
+// Import required modules
+const readline = require("readline");
+const { findRecord, parseMoney } = require("./csv");
+const { CABIN_CLASSES } = require("./schemas");
+const { isUkAirport, ukAirports } = require("./distances");
+const { formatMoney } = require("./currency");
+const { formatProfitResults } = require("./flights");
+
+const QUIT_COMMANDS = ["quit", "exit"];
+
+// Find an airport by code or full name
+function findAirport(airports, answer) {
+    return findRecord(airports, "code", answer) || airports.find((airport) => airport.name && airport.name.toLowerCase() === answer.toLowerCase());
+}
+
+// Codes and names of airports, offered for tab completion
+function airportCompletions(airports) {
+    return [...airports.map((airport) => airport.code), ...airports.filter((airport) => airport.name).map((airport) => airport.name)];
+}
+
+// Parse a number of booked seats between 0 and the class capacity
+function parseSeats(answer, capacity, label) {
+    if (!/^\d+$/.test(answer) || parseInt(answer, 10) > capacity) {
+        return { error: `Invalid number of ${label} seats: ${answer}. Enter a whole number from 0 to ${capacity}.` };
+    }
+    return { value: parseInt(answer, 10) };
+}
+
+// Class to run an interactive what-if session over the loaded data
+class FlightManager {
+    // calculator: a FlightProfitCalculator holding the airports and aircraft;
+    // flights: records whose bookings and fares are offered as defaults for their route and aircraft
+    constructor(calculator, flights = [], { input = process.stdin, output = process.stdout } = {}) {
+        this.calculator = calculator;
+        this.flights = flights;
+        this.input = input;
+        this.output = output;
+        this.completions = [];
+    }
+
+    // Tab completion against the candidates for the current question
+    complete(line) {
+        const hits = this.completions.filter((candidate) => candidate.toLowerCase().startsWith(line.toLowerCase()));
+        return [hits.length > 0 ? hits : this.completions, line];
+    }
+
+    // Ask a question until parse accepts the answer, which returns { value } or { error }; an empty answer takes the default.
+    // Resolves to the value, or null when the user quits
+    async ask(question, parse, { completions = [], defaultValue = null, defaultLabel = defaultValue } = {}) {
+        this.completions = completions;
+        for (;;) {
+            this.rl.setPrompt(defaultValue === null ? `${question}: ` : `${question} [${defaultLabel}]: `);
+            this.rl.prompt();
+            const { value: line, done } = await this.lines.next();
+            if (done) return null;
+
+            const answer = line.trim();
+            if (QUIT_COMMANDS.includes(answer.toLowerCase())) return null;
+            if (answer === "" && defaultValue !== null) return defaultValue;
+            const parsed = parse(answer);
+            if (!parsed.error) return parsed.value;
+            this.output.write(`${parsed.error}\n`);
+        }
+    }
+
+    // Parse a price, which may carry a currency; amounts without one are in the reporting currency
+    parsePrice(answer, label) {
+        const { converter, currency: reportingCurrency } = this.calculator;
+        const money = parseMoney(answer);
+        if (!money || money.amount < 0) {
+            return { error: `Invalid ${label} price: ${answer}. Enter an amount such as 399 or USD 499.` };
+        }
+        const currency = money.currency || reportingCurrency;
+        if (converter.rateFor(currency) === null) return { error: converter.missingRateMessage(currency) };
+        return { value: { amount: money.amount, currency } };
+    }
+
+    // Prompt for every field of a flight; resolves to a flight record, or null when the user quits
+    async askFlight(previous) {
+        const { airports, aircrafts } = this.calculator;
+        const bases = ukAirports(airports);
+        const ukAirport = await this.ask(
+            "UK airport",
+            (answer) => {
+                const airport = findAirport(bases, answer);
+                return airport ? { value: airport.code } : { error: `Invalid UK airport: ${answer}. Available codes: ${bases.map((a) => a.code).join(", ")}` };
+            },
+            { completions: airportCompletions(bases), defaultValue: previous && previous.ukAirport }
+        );
+        if (ukAirport === null) return null;
+
+        const destinations = airports.filter((airport) => !isUkAirport(airport));
+        const overseasAirport = await this.ask(
+            "Destination airport",
+            (answer) => {
+                const airport = findAirport(destinations, answer);
+                return airport ? { value: airport.code } : { error: `Invalid destination airport: ${answer}. Available codes: ${destinations.map((a) => a.code).join(", ")}` };
+            },
+            { completions: airportCompletions(destinations), defaultValue: previous && previous.overseasAirport }
+        );
+        if (overseasAirport === null) return null;
+
+        const aircraftType = await this.ask(
+            "Aircraft type",
+            (answer) => {
+                const aircraft = findRecord(aircrafts, "type", answer);
+                return aircraft ? { value: aircraft.type } : { error: `Invalid aircraft type: ${answer}. Available aircraft: ${aircrafts.map((a) => a.type).join(", ")}` };
+            },
+            { completions: aircrafts.map((aircraft) => aircraft.type), defaultValue: previous && previous.aircraftType }
+        );
+        if (aircraftType === null) return null;
+
+        // Default the bookings and fares to the previous query on the same flight, else to the flights file
+        const flight = { ukAirport, overseasAirport, aircraftType };
+        const sameFlight = (record) =>
+            record.ukAirport.toUpperCase() === ukAirport.toUpperCase() &&
+            record.overseasAirport.toUpperCase() === overseasAirport.toUpperCase() &&
+            record.aircraftType.toUpperCase() === aircraftType.toUpperCase();
+        const defaults = previous && sameFlight(previous) ? previous : this.flights.find(sameFlight) || null;
+
+        const aircraft = findRecord(aircrafts, "type", aircraftType);
+        for (const { label, seatsField, priceField, currencyField } of CABIN_CLASSES) {
+            const capacity = aircraft[seatsField];
+            if (capacity === 0) {
+                Object.assign(flight, { [seatsField]: 0, [priceField]: 0, [currencyField]: this.calculator.currency });
+                continue;
+            }
+            const title = label.charAt(0).toUpperCase() + label.slice(1);
+            const seats = await this.ask(`${title} seats booked (0-${capacity})`, (answer) => parseSeats(answer, capacity, label), {
+                defaultValue: defaults ? defaults[seatsField] : null,
+            });
+            if (seats === null) return null;
+
+            const defaultPrice = defaults ? { amount: defaults[priceField], currency: defaults[currencyField] || this.calculator.currency } : null;
+            const price = await this.ask(`${title} seat price`, (answer) => this.parsePrice(answer, label), {
+                defaultValue: defaultPrice,
+                defaultLabel: defaultPrice && formatMoney(defaultPrice.amount, defaultPrice.currency),
+            });
+            if (price === null) return null;
+            Object.assign(flight, { [seatsField]: seats, [priceField]: price.amount, [currencyField]: price.currency });
+        }
+        return flight;
+    }
+
+    // Run queries until the user quits; resolves to the number of flights whose profit was calculated
+    async run() {
+        this.rl = readline.createInterface({ input: this.input, output: this.output, completer: (line) => this.complete(line) });
+        this.lines = this.rl[Symbol.asyncIterator]();
+        this.output.write('Enter the flight details. Press Tab to complete names, Enter to keep the value in brackets, or type "quit" to finish.\n');
+
+        let previous = null;
+        let calculated = 0;
+        try {
+            for (;;) {
+                const flight = await this.askFlight(previous);
+                if (!flight) break;
+
+                const result = this.calculator.calculateProfit(flight);
+                if (result.error) {
+                    this.output.write(result.violations.map((v) => `Invalid flight: ${v.message}`).join("\n") + "\n\n");
+                } else {
+                    this.output.write(`\n${formatProfitResults([result])}\n`);
+                    calculated++;
+                }
+                previous = flight;
+            }
+        } finally {
+            this.rl.close();
+        }
+        return calculated;
+    }
+}
+
+module.exports = {
+    FlightManager,
+};
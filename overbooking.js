@@ -0,0 +1,224 @@
+// Overbooking model. Each booking turns up independently with probability 1 - no-show rate, so
+// show-ups per class are binomial. Passengers who turn up beyond their class's capacity are upgraded
+// into spare seats in a higher class when upgrades are allowed (economy to premium economy, then business,
+// then first, and so on from each class), and the rest are denied boarding: refunded and paid compensation.
+// Capacities are those of the flight's cabin layout.
+// Boarded passengers pay their booked fare and carry the costs per passenger; no-shows are refunded.
+// The flight's costs per flight are the same however many board, and count only towards the total.
+
+// Import required modules
+const { loadCsv } = require("./csv");
+const { CABIN_CLASSES, OVERBOOKING_SCHEMA } = require("./schemas");
+const { formatMoney } = require("./currency");
+const { sumCosts } = require("./costs");
+
+// Show-up outcomes less likely than this are skipped when summing expectations
+const MIN_PROBABILITY = 1e-12;
+
+// Load the overbooking policy file; returns null if it cannot be loaded or any row is invalid
+function loadOverbookingPolicies(filename) {
+    const rows = loadCsv(filename, OVERBOOKING_SCHEMA);
+    if (!rows) return null;
+
+    const policies = rows.map((row) => ({ ...row, cabinClass: row.cabinClass.toLowerCase() }));
+    const invalid = policies.filter((row) => !CABIN_CLASSES.some(({ name }) => name === row.cabinClass) || !(row.noShowRate >= 0 && row.noShowRate < 1) || !(row.compensation >= 0));
+    invalid.forEach((row) =>
+        console.error(`${filename}: ${row.ukAirport} to ${row.overseasAirport} ${row.cabinClass}: Use a known class, a no-show rate from 0 to below 1 and a compensation of at least 0.`)
+    );
+    return invalid.length > 0 ? null : policies;
+}
+
+// No-show rate and compensation (in the reporting currency) for each class of a flight, keyed by class name.
+// Classes without a policy row have no no-shows. Returns { error } if a compensation currency has no rate
+function flightPolicy(calculator, flight, policies) {
+    const policy = {};
+    for (const { name } of CABIN_CLASSES) {
+        const row = policies.find(
+            (p) => p.ukAirport.toUpperCase() === flight.ukAirport.toUpperCase() && p.overseasAirport.toUpperCase() === flight.overseasAirport.toUpperCase() && p.cabinClass === name
+        );
+        if (!row) {
+            policy[name] = { noShowRate: 0, compensation: 0 };
+            continue;
+        }
+        const compensation = calculator.converter.convert(row.compensation, row.compensationCurrency, calculator.currency);
+        if (compensation === null) {
+            return { error: `Flight from ${flight.ukAirport} to ${flight.overseasAirport} by ${flight.aircraftType}: ${calculator.converter.missingRateMessage(row.compensationCurrency)}` };
+        }
+        policy[name] = { noShowRate: row.noShowRate, compensation };
+    }
+    return { policy };
+}
+
+// Probability of each number of show-ups (0..bookings) when each booking turns up with the given probability
+function showUpDistribution(bookings, showUpRate) {
+    if (showUpRate >= 1) return Array.from({ length: bookings + 1 }, (_, k) => (k === bookings ? 1 : 0));
+    // Work in logs so large bookings do not underflow
+    const logFactorials = [0];
+    for (let k = 1; k <= bookings; k++) logFactorials.push(logFactorials[k - 1] + Math.log(k));
+    return Array.from({ length: bookings + 1 }, (_, k) =>
+        Math.exp(logFactorials[bookings] - logFactorials[k] - logFactorials[bookings - k] + k * Math.log(showUpRate) + (bookings - k) * Math.log(1 - showUpRate))
+    );
+}
+
+// Who boards when the given numbers turn up in each class: { boarded, upgraded, denied } per class name,
+// counted against the class the passengers booked
+function boardPassengers(showUps, capacity, allowUpgrades) {
+    const spare = {};
+    const outcome = {};
+    // Fill from the highest class down so upgrades go into seats its own passengers have not taken
+    [...CABIN_CLASSES].reverse().forEach(({ name }) => {
+        const seated = Math.min(showUps[name], capacity[name]);
+        spare[name] = capacity[name] - seated;
+        outcome[name] = { boarded: seated, upgraded: 0, denied: showUps[name] - seated };
+    });
+    if (allowUpgrades) {
+        CABIN_CLASSES.forEach(({ name }, index) => {
+            CABIN_CLASSES.slice(index + 1).forEach((higher) => {
+                const moved = Math.min(outcome[name].denied, spare[higher.name]);
+                spare[higher.name] -= moved;
+                outcome[name].denied -= moved;
+                outcome[name].upgraded += moved;
+                outcome[name].boarded += moved;
+            });
+        });
+    }
+    return outcome;
+}
+
+// Expected show-ups, boarding, upgrades, denied boardings, compensation and contribution per class for the given
+// bookings, summed over every combination of show-ups. prepared comes from FlightProfitCalculator.prepareFlight.
+// Each class's contribution is its income less its per-passenger costs and compensation; the costs per flight,
+// such as the aircraft and crew, are only taken off the flight's total profit
+function expectedOutcome(prepared, policy, bookings, allowUpgrades = true) {
+    const { flight, aircraft, costs } = prepared;
+    const costPerPassenger = sumCosts(costs.perPassenger);
+    const capacity = Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, aircraft[seatsField]]));
+    const fares = Object.fromEntries(CABIN_CLASSES.map(({ name, priceField }) => [name, flight[priceField]]));
+    const distributions = CABIN_CLASSES.map(({ name }) => showUpDistribution(bookings[name], 1 - policy[name].noShowRate));
+    const totals = Object.fromEntries(CABIN_CLASSES.map(({ name }) => [name, { booked: bookings[name], showUps: 0, boarded: 0, upgraded: 0, denied: 0 }]));
+
+    // Walk every combination of show-ups across the classes, weighting each by its probability
+    const visit = (index, showUps, probability) => {
+        if (probability < MIN_PROBABILITY) return;
+        if (index === CABIN_CLASSES.length) {
+            const outcome = boardPassengers(showUps, capacity, allowUpgrades);
+            CABIN_CLASSES.forEach(({ name }) => {
+                totals[name].showUps += probability * showUps[name];
+                totals[name].boarded += probability * outcome[name].boarded;
+                totals[name].upgraded += probability * outcome[name].upgraded;
+                totals[name].denied += probability * outcome[name].denied;
+            });
+            return;
+        }
+        const { name } = CABIN_CLASSES[index];
+        distributions[index].forEach((p, count) => visit(index + 1, { ...showUps, [name]: count }, probability * p));
+    };
+    visit(0, {}, 1);
+
+    const classes = Object.fromEntries(
+        CABIN_CLASSES.map(({ name }) => {
+            const c = totals[name];
+            const income = c.boarded * fares[name];
+            const cost = c.boarded * costPerPassenger;
+            const compensation = c.denied * policy[name].compensation;
+            return [name, { ...c, income, cost, compensation, contribution: income - cost - compensation }];
+        })
+    );
+    const sum = (field) => Object.values(classes).reduce((total, c) => total + c[field], 0);
+    const flightCost = sumCosts(costs.perFlight);
+    return { classes, income: sum("income"), cost: sum("cost") + flightCost, compensation: sum("compensation"), profit: sum("contribution") - flightCost };
+}
+
+// Booking limit per class that maximises expected profit, assuming demand fills every limit.
+// Searches one class at a time from its capacity upwards until no class can improve
+function recommendLimits(prepared, policy, allowUpgrades = true) {
+    const { aircraft } = prepared;
+    const limits = Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, aircraft[seatsField]]));
+    let best = expectedOutcome(prepared, policy, limits, allowUpgrades);
+
+    for (let pass = 0, improved = true; improved && pass < 10; pass++) {
+        improved = false;
+        for (const { name, seatsField } of CABIN_CLASSES) {
+            const capacity = aircraft[seatsField];
+            if (capacity === 0 || policy[name].noShowRate === 0) continue;
+            // Beyond three standard deviations above the expected show-ups at capacity, extra bookings only add denials
+            const maxLimit = Math.ceil(capacity / (1 - policy[name].noShowRate) + 3 * Math.sqrt(capacity * policy[name].noShowRate) + 1);
+            for (let limit = capacity; limit <= maxLimit; limit++) {
+                if (limit === limits[name]) continue;
+                const candidate = { ...limits, [name]: limit };
+                const outcome = expectedOutcome(prepared, policy, candidate, allowUpgrades);
+                if (outcome.profit > best.profit + 1e-9) {
+                    limits[name] = limit;
+                    best = outcome;
+                    improved = true;
+                }
+            }
+        }
+    }
+    return { limits, outcome: best };
+}
+
+// Analyse a flight's current bookings under its overbooking policy and recommend booking limits per class
+function analyseOverbooking(calculator, flightData, policies, { allowUpgrades = true } = {}) {
+    const prepared = calculator.prepareFlight(flightData, { allowOverbooking: true });
+    if (prepared.error) return { flight: flightData, error: prepared.error };
+    const { policy, error } = flightPolicy(calculator, flightData, policies);
+    if (error) return { flight: flightData, error };
+
+    const bookings = Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, prepared.flight[seatsField]]));
+    return {
+        flight: flightData,
+        currency: calculator.currency,
+        allowUpgrades,
+        policy,
+        capacity: Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, prepared.aircraft[seatsField]])),
+        current: expectedOutcome(prepared, policy, bookings, allowUpgrades),
+        recommended: recommendLimits(prepared, policy, allowUpgrades),
+    };
+}
+
+// Format overbooking analyses as a plain-text report
+function formatOverbooking(analyses) {
+    return analyses
+        .map((analysis) => {
+            const { flight } = analysis;
+            const title = `Flight from ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+            if (analysis.error) return `${title}:\n  ${analysis.error}\n`;
+
+            const money = (amount) => formatMoney(amount, analysis.currency);
+            const classes = CABIN_CLASSES.filter(({ name }) => analysis.capacity[name] > 0);
+            const formatOutcome = (outcome) => [
+                ...classes.map(({ name }) => {
+                    const c = outcome.classes[name];
+                    return (
+                        `    ${name}: booked ${c.booked}, no-shows ${(analysis.policy[name].noShowRate * 100).toFixed(1)}%, show-ups ${c.showUps.toFixed(2)}, ` +
+                        `boarded ${c.boarded.toFixed(2)}${analysis.allowUpgrades ? ` (upgraded ${c.upgraded.toFixed(2)})` : ""}, denied ${c.denied.toFixed(2)}, ` +
+                        `compensation ${money(c.compensation)}, contribution ${money(c.contribution)}`
+                    );
+                }),
+                `    Expected profit: ${money(outcome.profit)} (income ${money(outcome.income)}, cost ${money(outcome.cost)}, compensation ${money(outcome.compensation)})`,
+            ];
+
+            const limits = classes.map(({ name }) => `${name} ${analysis.recommended.limits[name]} (capacity ${analysis.capacity[name]})`).join(", ");
+            const change = analysis.recommended.outcome.profit - analysis.current.profit;
+            return [
+                `${title}:`,
+                "  Current bookings:",
+                ...formatOutcome(analysis.current),
+                `  Recommended booking limits: ${limits}`,
+                ...formatOutcome(analysis.recommended.outcome),
+                `  Profit change at the recommended limits: ${change < 0 ? "-" : "+"}${money(Math.abs(change))}`,
+            ].join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+module.exports = {
+    loadOverbookingPolicies,
+    showUpDistribution,
+    boardPassengers,
+    expectedOutcome,
+    recommendLimits,
+    analyseOverbooking,
+    formatOverbooking,
+};
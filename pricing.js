@@ -0,0 +1,174 @@
+// Fare optimisation: searches economy/business/first prices that maximise the profit
+// reported by FlightProfitCalculator.calculateProfit under a per-class demand model.
+// The search runs in the calculator's reporting currency, so demand model prices are converted first.
+
+// Import required modules
+const { CABIN_CLASSES } = require("./schemas");
+const { formatMoney } = require("./currency");
+
+const DEMAND_MODELS = ["linear", "elasticity"];
+
+// Expected number of passengers wanting a seat at a price
+function expectedDemand(model, price) {
+    if (model.model.toLowerCase() === "linear") {
+        return Math.max(0, model.referenceDemand - model.slope * (price - model.referencePrice));
+    }
+    if (price <= 0) return model.referenceDemand;
+    return model.referenceDemand * Math.pow(price / model.referencePrice, model.elasticity);
+}
+
+// Seats booked at a price, capped at the class capacity
+function bookingsAt(model, price, capacity) {
+    return Math.min(Math.floor(expectedDemand(model, price)), capacity);
+}
+
+// Demand models for a route, keyed by cabin class name; returns { error } for unusable rows
+function findDemandModels(demand, ukAirport, overseasAirport) {
+    const models = {};
+    for (const row of demand) {
+        if (row.ukAirport.toUpperCase() !== ukAirport.toUpperCase() || row.overseasAirport.toUpperCase() !== overseasAirport.toUpperCase()) continue;
+
+        const cabinClass = CABIN_CLASSES.find(({ name }) => name === row.cabinClass.toLowerCase());
+        if (!cabinClass) {
+            return { error: `Unknown class "${row.cabinClass}" in demand model for ${ukAirport} to ${overseasAirport}. Available classes: ${CABIN_CLASSES.map(({ name }) => name).join(", ")}` };
+        }
+        if (!DEMAND_MODELS.includes(row.model.toLowerCase())) {
+            return { error: `Unknown demand model "${row.model}" for ${ukAirport} to ${overseasAirport}. Available models: ${DEMAND_MODELS.join(", ")}` };
+        }
+        models[cabinClass.name] = row;
+    }
+    return { models };
+}
+
+// Demand models with their prices, and the linear slope per unit of price, converted into the calculator's
+// reporting currency; returns { error } if a price's currency has no exchange rate
+function modelsInCurrency(calculator, models) {
+    const { converter, currency } = calculator;
+    const converted = {};
+    for (const [name, model] of Object.entries(models)) {
+        const unknown = [model.referencePriceCurrency, model.minPriceCurrency, model.maxPriceCurrency].find((code) => converter.rateFor(code) === null);
+        if (unknown) return { error: converter.missingRateMessage(unknown) };
+
+        const convert = (field) => (model[field] === null ? null : converter.convert(model[field], model[`${field}Currency`], currency));
+        converted[name] = {
+            ...model,
+            referencePrice: convert("referencePrice"),
+            minPrice: convert("minPrice"),
+            maxPrice: convert("maxPrice"),
+            // Seats lost per unit of the reporting currency rather than of the model's currency
+            slope: model.slope * converter.convert(1, currency, model.referencePriceCurrency),
+        };
+    }
+    return { models: converted };
+}
+
+// Candidate prices for a class, stepping through the model's price range and including the current price
+function candidatePrices(model, currentPrice, step) {
+    const maxPrice = model.maxPrice ?? model.referencePrice * 3;
+    const prices = new Set([currentPrice]);
+    for (let price = model.minPrice; price <= maxPrice; price += step) {
+        prices.add(price);
+    }
+    return [...prices].filter((price) => price >= model.minPrice && price <= maxPrice);
+}
+
+// Flight record with the given prices, and bookings taken from the demand models where a class has one
+function flightAtPrices(flight, aircraft, models, prices) {
+    const priced = { ...flight };
+    CABIN_CLASSES.forEach(({ name, seatsField, priceField }) => {
+        priced[priceField] = prices[name];
+        if (models[name]) priced[seatsField] = bookingsAt(models[name], prices[name], aircraft[seatsField]);
+    });
+    return priced;
+}
+
+// Summarise a calculated flight for the comparison
+function pricingOutcome(flight, result) {
+    return {
+        currency: result.currency,
+        prices: Object.fromEntries(CABIN_CLASSES.map(({ name, priceField }) => [name, flight[priceField]])),
+        bookings: Object.fromEntries(CABIN_CLASSES.map(({ name, seatsField }) => [name, flight[seatsField]])),
+        profit: result.profit,
+        profitMargin: result.profitMargin,
+    };
+}
+
+// Search the prices that maximise profit for a flight, one class at a time until no class can improve.
+// The current prices are judged under the same demand model, so both sides of the comparison use expected bookings.
+// Classes without a demand model or without seats on the aircraft keep their current price and bookings.
+function optimiseFares(calculator, flightData, demand, step = 5) {
+    const prepared = calculator.prepareFlight(flightData);
+    if (prepared.error) return { flight: flightData, error: prepared.error };
+    const { aircraft } = prepared;
+
+    const found = findDemandModels(demand, flightData.ukAirport, flightData.overseasAirport);
+    const { models, error } = found.error ? found : modelsInCurrency(calculator, found.models);
+    if (error) return { flight: flightData, error };
+    const searchable = CABIN_CLASSES.filter(({ name, seatsField }) => models[name] && aircraft[seatsField] > 0);
+    if (searchable.length === 0) {
+        return { flight: flightData, error: `No demand model for any class on ${flightData.ukAirport} to ${flightData.overseasAirport}.` };
+    }
+
+    // Start from the prepared flight, whose fares are already in the reporting currency
+    const currentPrices = Object.fromEntries(CABIN_CLASSES.map(({ name, priceField }) => [name, prepared.flight[priceField]]));
+    const evaluate = (prices) => {
+        const flight = flightAtPrices(prepared.flight, aircraft, models, prices);
+        return { flight, result: calculator.calculateProfit(flight) };
+    };
+
+    const current = evaluate(currentPrices);
+    let best = { prices: currentPrices, ...current };
+    for (let pass = 0, improved = true; improved && pass < 10; pass++) {
+        improved = false;
+        for (const { name } of searchable) {
+            for (const price of candidatePrices(models[name], best.prices[name], step)) {
+                const prices = { ...best.prices, [name]: price };
+                const candidate = evaluate(prices);
+                if (candidate.result.error) continue;
+                if (best.result.error || candidate.result.profit > best.result.profit) {
+                    best = { prices, ...candidate };
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    if (best.result.error) return { flight: flightData, error: best.result.error };
+    return {
+        flight: flightData,
+        current: current.result.error ? null : pricingOutcome(current.flight, current.result),
+        recommended: pricingOutcome(best.flight, best.result),
+    };
+}
+
+// Format one pricing outcome as "economy £399.00 x 150, ..."
+function formatOutcome(outcome) {
+    const classes = CABIN_CLASSES.filter(({ name, optional }) => !optional || outcome.bookings[name] > 0)
+        .map(({ name }) => `${name} ${formatMoney(outcome.prices[name], outcome.currency)} x ${outcome.bookings[name]}`)
+        .join(", ");
+    return `${classes} - Profit: ${formatMoney(outcome.profit, outcome.currency)}, Margin: ${outcome.profitMargin === null ? "N/A" : `${outcome.profitMargin.toFixed(2)}%`}`;
+}
+
+// Format fare recommendations as a plain-text report
+function formatFareRecommendations(recommendations) {
+    return recommendations
+        .map(({ flight, current, recommended }) => {
+            const lines = [`Flight from ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}:`];
+            lines.push(`  Current:     ${current ? formatOutcome(current) : "not operable at the current prices"}`);
+            lines.push(`  Recommended: ${formatOutcome(recommended)}`);
+            if (current) {
+                const change = recommended.profit - current.profit;
+                lines.push(`  Profit change: ${change < 0 ? "-" : "+"}${formatMoney(Math.abs(change), recommended.currency)}`);
+            }
+            return lines.join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+module.exports = {
+    expectedDemand,
+    bookingsAt,
+    findDemandModels,
+    optimiseFares,
+    formatFareRecommendations,
+};
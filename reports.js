@@ -0,0 +1,247 @@
+// Report exporters for profit results. Every format renders the same report: the reporting currency,
+// the calculated results and the flights that could not be calculated. Plain text is the original layout,
+// CSV carries raw numbers and every cost item for spreadsheets, and HTML is a standalone page with
+// sortable tables and inline SVG charts. Adding an entry to REPORT_FORMATS offers another format.
+
+// Import required modules
+const path = require("path");
+const { formatCsvRow } = require("./csv");
+const { formatMoney } = require("./currency");
+const { COST_LABELS } = require("./costs");
+const { formatProfitResults } = require("./flights");
+
+// Columns of the tabular formats: the heading, the value taken from a result and how it is shown
+const RESULT_COLUMNS = [
+    { heading: "UK airport", value: (result) => result.ukAirport },
+    { heading: "Overseas airport", value: (result) => result.overseasAirport },
+    { heading: "Aircraft", value: (result) => result.aircraftType },
+    { heading: "Cabin layout", value: (result) => result.cabinLayout || "standard" },
+    { heading: "Economy seats", value: (result) => result.economySeats, type: "integer" },
+    { heading: "Premium economy seats", value: (result) => result.premiumSeats, type: "integer" },
+    { heading: "Business seats", value: (result) => result.businessSeats, type: "integer" },
+    { heading: "First class seats", value: (result) => result.firstClassSeats, type: "integer" },
+    { heading: "Distance (km)", value: (result) => result.distance, type: "integer" },
+    { heading: "Income", value: (result) => result.income, type: "money" },
+    { heading: "Cost", value: (result) => result.cost, type: "money" },
+    { heading: "Profit", value: (result) => result.profit, type: "money" },
+    { heading: "Profit margin", value: (result) => result.profitMargin, type: "percent" },
+    { heading: "Load factor", value: (result) => result.loadFactor, type: "percent" },
+    { heading: "Break-even seats", value: (result) => result.breakEvenSeats, type: "integer" },
+    { heading: "CO2 (kg)", value: (result) => result.co2Emissions, type: "number" },
+];
+
+// Show a column's value for people, e.g. "£1,234.00" or "52.91%"; missing values show as "N/A"
+function displayValue(column, value, currency) {
+    if (value === null || value === undefined) return "N/A";
+    if (column.type === "money") return formatMoney(value, currency);
+    if (column.type === "percent") return `${value.toFixed(2)}%`;
+    if (column.type === "number") return value.toFixed(2);
+    return String(value);
+}
+
+// Describe a flight as "MAN to JFK using Large narrow body"
+function flightLabel(flight) {
+    return `${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+}
+
+// Render the report as JSON
+function formatJsonReport(report) {
+    return JSON.stringify(report, null, 2) + "\n";
+}
+
+// Headings of a CSV results line: every result column, the currency and the given cost items
+function csvResultHeadings(costItems) {
+    return [...RESULT_COLUMNS.map(({ heading }) => heading), "Currency", ...costItems.map((item) => `Cost: ${COST_LABELS[item] || item}`)];
+}
+
+// Raw values of a result for a CSV results line, in the order of csvResultHeadings
+function csvResultValues(result, costItems) {
+    return [...RESULT_COLUMNS.map(({ value }) => value(result)), result.currency, ...costItems.map((item) => result.costBreakdown[item])];
+}
+
+// Render the report as CSV with one line per flight: raw numbers, the currency, every cost item and any error
+function formatCsvReport(report) {
+    const costItems = [...new Set(report.results.flatMap((result) => Object.keys(result.costBreakdown || {})))];
+    const header = [...csvResultHeadings(costItems), "Error"];
+    const results = report.results.map((result) => formatCsvRow([...csvResultValues(result, costItems), ""]));
+    // Failed flights keep their route and aircraft, with the remaining columns left empty; rows the loader
+    // rejected have no flight and carry only the error
+    const failures = report.failures.map(({ flight, error }) =>
+        formatCsvRow(flight ? [flight.ukAirport, flight.overseasAirport, flight.aircraftType, ...Array(header.length - 4).fill(""), error] : [...Array(header.length - 1).fill(""), error])
+    );
+    return [formatCsvRow(header), ...results, ...failures].join("\n") + "\n";
+}
+
+// Escape a value for a Markdown table cell
+function markdownCell(text) {
+    return String(text).replace(/\|/g, "\\|");
+}
+
+// Render the report as Markdown: a table of the results followed by the flights that failed
+function formatMarkdownReport(report) {
+    const row = (cells) => `| ${cells.map(markdownCell).join(" | ")} |`;
+    const lines = [
+        "# Flight profit report",
+        "",
+        `${report.results.length} flights calculated, ${report.failures.length} failed. Amounts in ${report.currency}.`,
+        "",
+        row(RESULT_COLUMNS.map(({ heading }) => heading)),
+        row(RESULT_COLUMNS.map(({ type }) => (type ? "---:" : ":---"))),
+        ...report.results.map((result) => row(RESULT_COLUMNS.map((column) => displayValue(column, column.value(result), result.currency)))),
+    ];
+    if (report.failures.length > 0) {
+        lines.push("", "## Flights that could not be calculated", "", ...report.failures.map(({ error }) => `- ${error}`));
+    }
+    return lines.join("\n") + "\n";
+}
+
+// Escape text for HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+// Horizontal bar chart as inline SVG; bars are [{ label, value }] and may be negative
+function svgBarChart(title, bars, formatValue) {
+    const LABEL_WIDTH = 260;
+    const PLOT_WIDTH = 380;
+    const VALUE_WIDTH = 120;
+    const ROW_HEIGHT = 24;
+    const width = LABEL_WIDTH + PLOT_WIDTH + VALUE_WIDTH;
+    const height = bars.length * ROW_HEIGHT + 8;
+    const min = Math.min(0, ...bars.map(({ value }) => value));
+    const max = Math.max(0, ...bars.map(({ value }) => value));
+    const x = (value) => LABEL_WIDTH + ((value - min) / (max - min || 1)) * PLOT_WIDTH;
+
+    const rows = bars.map(({ label, value }, i) => {
+        const y = 4 + i * ROW_HEIGHT;
+        const left = Math.min(x(0), x(value));
+        return (
+            `<text x="${LABEL_WIDTH - 8}" y="${y + 15}" text-anchor="end">${escapeHtml(label)}</text>` +
+            `<rect x="${left.toFixed(1)}" y="${y + 3}" width="${Math.abs(x(value) - x(0)).toFixed(1)}" height="${ROW_HEIGHT - 8}" class="${value < 0 ? "negative" : "positive"}"/>` +
+            `<text x="${LABEL_WIDTH + PLOT_WIDTH + 8}" y="${y + 15}">${escapeHtml(formatValue(value))}</text>`
+        );
+    });
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(title)}">`,
+        ...rows,
+        `<line x1="${x(0).toFixed(1)}" y1="0" x2="${x(0).toFixed(1)}" y2="${height}" class="axis"/>`,
+        "</svg>",
+    ].join("\n");
+}
+
+// Sorts a table when its heading is clicked; numeric columns sort on each cell's data-value
+const SORT_SCRIPT = `document.querySelectorAll("table.sortable th").forEach((heading) => {
+    heading.addEventListener("click", () => {
+        const column = heading.cellIndex;
+        const body = heading.closest("table").tBodies[0];
+        const ascending = heading.getAttribute("aria-sort") !== "ascending";
+        heading.closest("tr").querySelectorAll("th").forEach((other) => other.removeAttribute("aria-sort"));
+        heading.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+        const key = (row) => {
+            const value = row.cells[column].dataset.value;
+            return heading.dataset.type === "number" ? (value === "" ? -Number.MAX_VALUE : Number(value)) : value;
+        };
+        const rows = [...body.rows].sort((a, b) => {
+            const order = heading.dataset.type === "number" ? key(a) - key(b) : key(a).localeCompare(key(b));
+            return ascending ? order : -order;
+        });
+        rows.forEach((row) => body.appendChild(row));
+    });
+});`;
+
+const STYLE = `body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; font-size: 0.9rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; }
+th { background: #f0f0f0; cursor: pointer; user-select: none; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; }
+th[aria-sort="descending"]::after { content: " \\25BC"; }
+td.number { text-align: right; }
+svg { font-size: 12px; }
+svg .positive { fill: #3b7dd8; }
+svg .negative { fill: #d8553b; }
+svg .axis { stroke: #555; }`;
+
+// Render the report as a standalone HTML page with charts of profit, load factor and CO2 and a sortable results table
+function formatHtmlReport(report) {
+    const money = (amount) => formatMoney(amount, report.currency);
+    const bars = (field) => report.results.map((result) => ({ label: flightLabel(result), value: result[field] }));
+    const headings = RESULT_COLUMNS.map(({ heading, type }) => `<th data-type="${type ? "number" : "text"}">${escapeHtml(heading)}</th>`);
+    const rows = report.results.map(
+        (result) =>
+            "<tr>" +
+            RESULT_COLUMNS.map((column) => {
+                const value = column.value(result);
+                const sortValue = value === null || value === undefined ? "" : value;
+                return `<td${column.type ? ' class="number"' : ""} data-value="${escapeHtml(sortValue)}">${escapeHtml(displayValue(column, value, result.currency))}</td>`;
+            }).join("") +
+            "</tr>"
+    );
+    const failures =
+        report.failures.length === 0
+            ? []
+            : ["<h2>Flights that could not be calculated</h2>", "<ul>", ...report.failures.map(({ error }) => `<li>${escapeHtml(error)}</li>`), "</ul>"];
+
+    return [
+        "<!DOCTYPE html>",
+        '<html lang="en">',
+        "<head>",
+        '<meta charset="utf-8">',
+        "<title>Flight profit report</title>",
+        `<style>\n${STYLE}\n</style>`,
+        "</head>",
+        "<body>",
+        "<h1>Flight profit report</h1>",
+        `<p>${report.results.length} flights calculated, ${report.failures.length} failed. Amounts in ${escapeHtml(report.currency)}.</p>`,
+        "<h2>Profit per route</h2>",
+        svgBarChart("Profit per route", bars("profit"), money),
+        "<h2>Load factor</h2>",
+        svgBarChart("Load factor", bars("loadFactor"), (value) => `${value.toFixed(2)}%`),
+        "<h2>CO2 emissions</h2>",
+        svgBarChart("CO2 emissions", bars("co2Emissions"), (value) => `${value.toFixed(2)} kg`),
+        "<h2>Flights</h2>",
+        '<table class="sortable">',
+        `<thead><tr>${headings.join("")}</tr></thead>`,
+        "<tbody>",
+        ...rows,
+        "</tbody>",
+        "</table>",
+        ...failures,
+        `<script>\n${SORT_SCRIPT}\n</script>`,
+        "</body>",
+        "</html>",
+    ].join("\n") + "\n";
+}
+
+// Report formats by name, with the file extension each is recognised by
+const REPORT_FORMATS = {
+    text: { extensions: [".txt"], render: (report) => formatProfitResults(report.results) },
+    json: { extensions: [".json"], render: formatJsonReport },
+    csv: { extensions: [".csv"], render: formatCsvReport },
+    markdown: { extensions: [".md", ".markdown"], render: formatMarkdownReport },
+    html: { extensions: [".html", ".htm"], render: formatHtmlReport },
+};
+
+// Name of the report format a file's extension suggests, or null if none matches
+function reportFormatForFile(filename) {
+    const extension = path.extname(filename || "").toLowerCase();
+    const match = Object.entries(REPORT_FORMATS).find(([, format]) => format.extensions.includes(extension));
+    return match ? match[0] : null;
+}
+
+// Render a report of { currency, costModel, results, failures } in a named format
+function renderReport(report, formatName) {
+    return REPORT_FORMATS[formatName].render(report);
+}
+
+module.exports = {
+    RESULT_COLUMNS,
+    REPORT_FORMATS,
+    reportFormatForFile,
+    renderReport,
+    csvResultHeadings,
+    csvResultValues,
+    formatJsonReport,
+    formatCsvReport,
+    formatMarkdownReport,
+    formatHtmlReport,
+};
@@ -0,0 +1,245 @@
+// What-if scenarios and sensitivity analysis around FlightProfitCalculator. A scenario is a named
+// set of changes to running cost, distance, prices or loads; each flight is recalculated under it
+// and compared with the base case. Sensitivity tables move one input at a time up and down by the
+// same percentage and rank the inputs by how far they swing profit, tornado-style.
+
+// Import required modules
+const { loadCsv } = require("./csv");
+const { CABIN_CLASSES, SCENARIO_SCHEMA } = require("./schemas");
+const { getDistance } = require("./distances");
+const { FlightProfitCalculator } = require("./flights");
+const { formatMoney } = require("./currency");
+
+// Inputs a scenario can change; "price" and "load" apply to every class
+const SCENARIO_INPUTS = ["running cost", "distance", "price", "load", ...CABIN_CLASSES.flatMap(({ name }) => [`${name} price`, `${name} load`])];
+
+// Parse a change such as "+15%" or "-10%" (scale the input) or "=450" (set it; loads are set as a percentage of capacity).
+// Returns null if invalid
+function parseChange(text) {
+    const scale = text.match(/^([+-]\d+(?:\.\d+)?)%$/);
+    if (scale) return { mode: "scale", factor: 1 + parseFloat(scale[1]) / 100, text };
+    const set = text.match(/^=(\d+(?:\.\d+)?)%?$/);
+    if (set) return { mode: "set", value: parseFloat(set[1]), text };
+    return null;
+}
+
+// Apply a list of changes to a value in order
+function applyChanges(value, changes) {
+    return changes.reduce((current, change) => (change.mode === "scale" ? current * change.factor : change.value), value);
+}
+
+// Load a scenario file into [{ name, changes: [{ input, mode, factor | value, text }] }]; returns null if it
+// cannot be loaded or any row names an unknown input or has an invalid change
+function loadScenarios(filename) {
+    const rows = loadCsv(filename, SCENARIO_SCHEMA);
+    if (!rows) return null;
+
+    const scenarios = [];
+    let valid = true;
+    rows.forEach((row) => {
+        const input = row.input.toLowerCase();
+        const change = parseChange(row.change.replace(/\s+/g, ""));
+        if (!SCENARIO_INPUTS.includes(input)) {
+            console.error(`${filename}: Unknown input "${row.input}" in scenario "${row.scenario}". Available inputs: ${SCENARIO_INPUTS.join(", ")}`);
+            valid = false;
+            return;
+        }
+        if (!change) {
+            console.error(`${filename}: Invalid change "${row.change}" in scenario "${row.scenario}". Use +15%, -10% or =450.`);
+            valid = false;
+            return;
+        }
+        let scenario = scenarios.find(({ name }) => name === row.scenario);
+        if (!scenario) {
+            scenario = { name: row.scenario, changes: [] };
+            scenarios.push(scenario);
+        }
+        scenario.changes.push({ input, ...change });
+    });
+    return valid ? scenarios : null;
+}
+
+// Calculator whose aircraft running costs and route distances reflect a scenario's changes; "running cost"
+// changes every aircraft cost of either cost model
+function scenarioCalculator(calculator, changes) {
+    const costChanges = changes.filter(({ input }) => input === "running cost");
+    const distanceChanges = changes.filter(({ input }) => input === "distance");
+    const aircrafts = calculator.aircrafts.map((aircraft) => ({
+        ...aircraft,
+        runningCostPerSeatPer100km: applyChanges(aircraft.runningCostPerSeatPer100km, costChanges),
+        costPerBlockHour: applyChanges(aircraft.costPerBlockHour, costChanges),
+        crewCostPerBlockHour: applyChanges(aircraft.crewCostPerBlockHour, costChanges),
+        costPerSector: applyChanges(aircraft.costPerSector, costChanges),
+    }));
+
+    // Every known distance is listed per airport so the changed figure takes precedence over the coordinates
+    const airports =
+        distanceChanges.length === 0
+            ? calculator.airports
+            : calculator.airports.map((from) => {
+                  const distances = {};
+                  calculator.airports.forEach((to) => {
+                      const distance = getDistance(calculator.airports, from.code, to.code);
+                      if (distance !== undefined) distances[to.code.toUpperCase()] = Math.round(applyChanges(distance, distanceChanges));
+                  });
+                  return { ...from, distances };
+              });
+    return new FlightProfitCalculator(airports, aircrafts, {
+        cabinLayouts: calculator.cabinLayouts,
+        emissions: calculator.emissions,
+        costModel: calculator.costModel,
+        currency: calculator.currency,
+        converter: calculator.converter,
+    });
+}
+
+// Flight record with a scenario's price and load changes applied; loads are capped at each class's capacity
+function scenarioFlight(calculator, flightData, changes) {
+    const aircraft = calculator.aircraftFor(flightData);
+    const flight = { ...flightData };
+    CABIN_CLASSES.forEach(({ name, seatsField, priceField }) => {
+        const priceChanges = changes.filter(({ input }) => input === "price" || input === `${name} price`);
+        const loadChanges = changes.filter(({ input }) => input === "load" || input === `${name} load`);
+        flight[priceField] = applyChanges(flight[priceField], priceChanges);
+        if (loadChanges.length === 0 || !aircraft) return;
+
+        const capacity = aircraft[seatsField];
+        const seats = loadChanges.reduce(
+            (current, change) => (change.mode === "scale" ? Math.round(current * change.factor) : Math.floor((capacity * change.value) / 100)),
+            flight[seatsField]
+        );
+        flight[seatsField] = Math.min(seats, capacity);
+    });
+    return flight;
+}
+
+// Change in profit margin between two results, or null when either has no margin (a flight without income)
+function marginDifference(from, to) {
+    return Number.isFinite(from.profitMargin) && Number.isFinite(to.profitMargin) ? to.profitMargin - from.profitMargin : null;
+}
+
+// Show a profit margin, or "N/A" for a flight without one
+function formatMargin(margin) {
+    return margin === null ? "N/A" : `${margin.toFixed(2)}%`;
+}
+
+// Calculate every flight under a scenario alongside the base case
+function runScenario(calculator, flights, scenario) {
+    const adjusted = scenarioCalculator(calculator, scenario.changes);
+    const rows = flights.map((flight) => {
+        const base = calculator.calculateProfit(flight);
+        const result = adjusted.calculateProfit(scenarioFlight(calculator, flight, scenario.changes));
+        const comparable = !base.error && !result.error;
+        return {
+            flight,
+            base,
+            result,
+            profitChange: comparable ? result.profit - base.profit : null,
+            marginChange: comparable ? marginDifference(base, result) : null,
+        };
+    });
+    return { scenario, rows };
+}
+
+// Inputs worth moving for a flight: running cost, distance, and the price and load of each class the aircraft has
+function sensitivityInputs(calculator, flight) {
+    const aircraft = calculator.aircraftFor(flight);
+    const classes = CABIN_CLASSES.filter(({ seatsField }) => !aircraft || aircraft[seatsField] > 0);
+    return ["running cost", "distance", ...classes.flatMap(({ name }) => [`${name} price`, `${name} load`])];
+}
+
+// Move each input down and up by step (e.g. 0.1 for 10%) and rank the inputs by the profit swing, largest first
+function analyseSensitivity(calculator, flight, step = 0.1) {
+    const base = calculator.calculateProfit(flight);
+    if (base.error) return { flight, error: base.error };
+
+    const inputs = sensitivityInputs(calculator, flight).map((input) => {
+        const [low, high] = [-step, step].map((delta) => {
+            const changes = [{ input, mode: "scale", factor: 1 + delta }];
+            const result = scenarioCalculator(calculator, changes).calculateProfit(scenarioFlight(calculator, flight, changes));
+            return result.error ? { error: result.error } : { profit: result.profit, profitMargin: result.profitMargin };
+        });
+        const comparable = !low.error && !high.error;
+        return {
+            input,
+            low,
+            high,
+            profitSwing: comparable ? Math.abs(high.profit - low.profit) : null,
+            marginSwing: comparable && marginDifference(low, high) !== null ? Math.abs(marginDifference(low, high)) : null,
+        };
+    });
+    // Inputs that break the flight at either end (e.g. out of range) are listed last
+    inputs.sort((a, b) => (b.profitSwing ?? -1) - (a.profitSwing ?? -1));
+    return { flight, base, step, inputs };
+}
+
+// Format a signed amount of money as "+£1,234.00" or "-£1,234.00"
+function formatChange(amount, currency) {
+    return `${amount < 0 ? "-" : "+"}${formatMoney(Math.abs(amount), currency)}`;
+}
+
+// Format scenario comparisons as a plain-text report
+function formatScenarioReport(comparisons) {
+    return comparisons
+        .map(({ scenario, rows }) => {
+            const lines = [`Scenario "${scenario.name}" (${scenario.changes.map(({ input, text }) => `${input} ${text}`).join(", ")}):`];
+            rows.forEach(({ flight, base, result, profitChange, marginChange }) => {
+                const label = `  ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+                if (base.error) {
+                    lines.push(`${label}: base case fails - ${base.error}`);
+                } else if (result.error) {
+                    lines.push(`${label}: fails under this scenario - ${result.error}`);
+                } else {
+                    lines.push(
+                        `${label}: Profit ${formatMoney(base.profit, base.currency)} -> ${formatMoney(result.profit, result.currency)} (${formatChange(profitChange, result.currency)}), ` +
+                            `Margin ${formatMargin(base.profitMargin)} -> ${formatMargin(result.profitMargin)}` +
+                            (marginChange === null ? "" : ` (${marginChange < 0 ? "" : "+"}${marginChange.toFixed(2)} pts)`)
+                    );
+                }
+            });
+            return lines.join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+// Format sensitivity analyses as tornado tables, with a bar scaled to each flight's largest profit swing
+function formatSensitivity(analyses) {
+    const BAR_WIDTH = 20;
+    return analyses
+        .map(({ flight, base, step, inputs, error }) => {
+            const title = `Flight from ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+            if (error) return `${title}:\n  ${error}\n`;
+
+            const percent = `${(step * 100).toFixed(0)}%`;
+            const money = (amount) => formatMoney(amount, base.currency);
+            const maxSwing = Math.max(...inputs.map(({ profitSwing }) => profitSwing || 0));
+            const rows = inputs.map(({ input, low, high, profitSwing, marginSwing }) => {
+                const bar = profitSwing && maxSwing > 0 ? "#".repeat(Math.max(1, Math.round((profitSwing / maxSwing) * BAR_WIDTH))) : "";
+                return [
+                    input,
+                    low.error ? "N/A" : money(low.profit),
+                    high.error ? "N/A" : money(high.profit),
+                    profitSwing === null ? "N/A" : money(profitSwing),
+                    marginSwing === null ? "N/A" : `${marginSwing.toFixed(2)} pts`,
+                    bar,
+                ];
+            });
+            const header = ["Input", `-${percent} profit`, `+${percent} profit`, "Profit swing", "Margin swing", ""];
+            const widths = header.map((heading, i) => Math.max(heading.length, ...rows.map((row) => row[i].length)));
+            const formatRow = (row) => "  " + row.map((cell, i) => (i === 0 || i === row.length - 1 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ").trimEnd();
+            return [`${title} (profit ${money(base.profit)}, margin ${formatMargin(base.profitMargin)}):`, formatRow(header), ...rows.map(formatRow)].join("\n") + "\n";
+        })
+        .join("\n");
+}
+
+module.exports = {
+    SCENARIO_INPUTS,
+    parseChange,
+    loadScenarios,
+    scenarioCalculator,
+    scenarioFlight,
+    runScenario,
+    analyseSensitivity,
+    formatScenarioReport,
+    formatSensitivity,
+};
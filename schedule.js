@@ -0,0 +1,208 @@
+// Weekly schedule planner: expands a timetable into sectors, checks each aircraft's rotation
+// and rolls sector profits up into weekly and monthly totals per route, base and aircraft.
+// Each sector between a UK base and an overseas airport is priced with the bookings and fares
+// of the matching row in the flights file, whichever direction it is flown.
+
+// Import required modules
+const { findRecord } = require("./csv");
+const { isUkAirport, getDistance } = require("./distances");
+const { DEFAULT_CURRENCY, formatMoney } = require("./currency");
+const { blockMinutes } = require("./costs");
+
+const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const WEEKS_PER_MONTH = 52 / 12;
+
+const DEFAULT_TURNAROUND_MINUTES = 45;
+
+// Parse "Daily" or day names such as "Mon Wed Fri" into day indexes (Mon = 0); returns null if invalid
+function parseDays(days) {
+    if (days.trim().toLowerCase() === "daily") return DAYS.map((_, index) => index);
+    const indexes = days
+        .split(/[\s|/]+/)
+        .filter(Boolean)
+        .map((day) => DAYS.findIndex((name) => name.toLowerCase() === day.slice(0, 3).toLowerCase()));
+    return indexes.length > 0 && !indexes.includes(-1) ? [...new Set(indexes)] : null;
+}
+
+// Parse an HH:MM departure time into minutes after midnight; returns null if invalid
+function parseTime(time) {
+    const match = time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Format minutes from the start of the week as "Mon 09:00"
+function formatWeekTime(minutes) {
+    const wrapped = ((minutes % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+    const day = DAYS[Math.floor(wrapped / MINUTES_PER_DAY)];
+    const time = wrapped % MINUTES_PER_DAY;
+    return `${day} ${String(Math.floor(time / 60)).padStart(2, "0")}:${String(time % 60).padStart(2, "0")}`;
+}
+
+// Work out which end of a sector is the UK base; returns null if neither end is
+function sectorRoute(calculator, from, to) {
+    for (const [ukAirport, overseasAirport] of [[from, to], [to, from]]) {
+        const distance = getDistance(calculator.airports, ukAirport, overseasAirport);
+        if (isUkAirport(findRecord(calculator.airports, "code", ukAirport)) && distance !== undefined) {
+            return { ukAirport: ukAirport.toUpperCase(), overseasAirport: overseasAirport.toUpperCase(), distance };
+        }
+    }
+    return null;
+}
+
+// Expand the timetable into priced sectors for one week; rows that cannot be scheduled are returned as errors
+function buildWeeklySectors(calculator, timetable, tails, flights) {
+    const sectors = [];
+    const errors = [];
+    const profitCache = new Map();
+
+    for (const row of timetable) {
+        const label = `${row.flightNumber} ${row.from}-${row.to}`;
+        const tail = findRecord(tails, "tailNumber", row.tailNumber);
+        const days = parseDays(row.days);
+        const departure = parseTime(row.departure);
+        const route = sectorRoute(calculator, row.from, row.to);
+        if (!tail) {
+            errors.push(`${label}: Unknown tail number ${row.tailNumber}.`);
+            continue;
+        }
+        if (!days) {
+            errors.push(`${label}: Invalid days "${row.days}". Use "Daily" or day names such as "Mon Wed Fri".`);
+            continue;
+        }
+        if (departure === null) {
+            errors.push(`${label}: Invalid departure time "${row.departure}". Use HH:MM.`);
+            continue;
+        }
+        if (!route) {
+            errors.push(`${label}: Sectors must fly between a UK base and another known airport with a known distance.`);
+            continue;
+        }
+
+        // Price the sector with the bookings and fares for its route and aircraft type
+        const key = `${route.ukAirport}|${route.overseasAirport}|${tail.aircraftType.toUpperCase()}`;
+        if (!profitCache.has(key)) {
+            const flight = flights.find(
+                (f) =>
+                    f.ukAirport.toUpperCase() === route.ukAirport &&
+                    f.overseasAirport.toUpperCase() === route.overseasAirport &&
+                    f.aircraftType.toUpperCase() === tail.aircraftType.toUpperCase()
+            );
+            profitCache.set(key, flight ? calculator.calculateProfit(flight) : { error: `No bookings for ${route.ukAirport} to ${route.overseasAirport} using ${tail.aircraftType} in the flights file.` });
+        }
+        const result = profitCache.get(key);
+        if (result.error) {
+            errors.push(`${label}: ${result.error}`);
+            continue;
+        }
+
+        const block = blockMinutes(route.distance);
+        days.forEach((day) => {
+            const start = day * MINUTES_PER_DAY + departure;
+            sectors.push({ ...row, ...route, tailNumber: tail.tailNumber, aircraftType: tail.aircraftType, start, end: start + block, result });
+        });
+    }
+    return { sectors, errors };
+}
+
+// Check each aircraft's rotation: no overlapping sectors, the minimum turnaround between them,
+// and each sector departing from where the previous one arrived. The week repeats, so the last
+// sector is also checked against the first sector of the following week.
+function checkRotations(sectors, minTurnaround = DEFAULT_TURNAROUND_MINUTES) {
+    const problems = [];
+    const byTail = new Map();
+    sectors.forEach((sector) => {
+        if (!byTail.has(sector.tailNumber)) byTail.set(sector.tailNumber, []);
+        byTail.get(sector.tailNumber).push(sector);
+    });
+
+    for (const [tailNumber, tailSectors] of byTail) {
+        tailSectors.sort((a, b) => a.start - b.start);
+        tailSectors.forEach((sector, i) => {
+            const wraps = i === tailSectors.length - 1;
+            const next = wraps ? tailSectors[0] : tailSectors[i + 1];
+            const nextStart = wraps ? next.start + MINUTES_PER_WEEK : next.start;
+            const where = `${tailNumber}: ${sector.flightNumber} (arrives ${sector.to} ${formatWeekTime(sector.end)}) then ${next.flightNumber} (departs ${next.from} ${formatWeekTime(nextStart)})`;
+
+            if (nextStart < sector.end) {
+                problems.push(`${where}: aircraft would be in two places at once.`);
+            } else if (nextStart - sector.end < minTurnaround) {
+                problems.push(`${where}: turnaround of ${nextStart - sector.end} minutes is below the ${minTurnaround} minute minimum.`);
+            }
+            if (next.from.toUpperCase() !== sector.to.toUpperCase()) {
+                problems.push(`${where}: aircraft is at ${sector.to}, not ${next.from}.`);
+            }
+        });
+    }
+    return problems;
+}
+
+// Add a sector's figures to a group total
+function addToGroup(groups, key, sector) {
+    const group = groups.get(key) || { key, sectors: 0, income: 0, cost: 0, profit: 0 };
+    group.sectors += 1;
+    group.income += sector.result.income;
+    group.cost += sector.result.cost;
+    group.profit += sector.result.profit;
+    groups.set(key, group);
+}
+
+// Roll weekly sector results up by route, UK base and aircraft, with monthly estimates in the sectors' reporting currency
+function summariseSchedule(sectors) {
+    const byRoute = new Map();
+    const byBase = new Map();
+    const byAircraft = new Map();
+    const network = new Map([["Network", { key: "Network", sectors: 0, income: 0, cost: 0, profit: 0 }]]);
+    sectors.forEach((sector) => {
+        addToGroup(byRoute, `${sector.ukAirport}-${sector.overseasAirport}`, sector);
+        addToGroup(byBase, sector.ukAirport, sector);
+        addToGroup(byAircraft, `${sector.tailNumber} (${sector.aircraftType})`, sector);
+        addToGroup(network, "Network", sector);
+    });
+
+    const withMonthly = (group) => ({ ...group, monthlyProfit: group.profit * WEEKS_PER_MONTH });
+    return {
+        currency: sectors.length > 0 ? sectors[0].result.currency : DEFAULT_CURRENCY,
+        byRoute: [...byRoute.values()].map(withMonthly),
+        byBase: [...byBase.values()].map(withMonthly),
+        byAircraft: [...byAircraft.values()].map(withMonthly),
+        network: withMonthly(network.get("Network")),
+    };
+}
+
+// Format a schedule summary as a plain-text report
+function formatScheduleSummary(summary, problems) {
+    const money = (amount) => formatMoney(amount, summary.currency);
+    const formatGroup = (group) =>
+        `  ${group.key}: ${group.sectors} sectors/week, Income: ${money(group.income)}, Cost: ${money(group.cost)}, ` +
+        `Weekly profit: ${money(group.profit)}, Monthly profit: ${money(group.monthlyProfit)}`;
+    const lines = [
+        "Rotation checks:",
+        ...(problems.length > 0 ? problems.map((problem) => `  ${problem}`) : ["  All aircraft rotations are feasible."]),
+        "",
+        "By route:",
+        ...summary.byRoute.map(formatGroup),
+        "",
+        "By UK base:",
+        ...summary.byBase.map(formatGroup),
+        "",
+        "By aircraft:",
+        ...summary.byAircraft.map(formatGroup),
+        "",
+        "Network:",
+        formatGroup(summary.network),
+    ];
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    DEFAULT_TURNAROUND_MINUTES,
+    parseDays,
+    parseTime,
+    buildWeeklySectors,
+    checkRotations,
+    summariseSchedule,
+    formatScheduleSummary,
+};
@@ -0,0 +1,208 @@
+// Column schemas for the CSV data files.
+// Headers are matched case-insensitively, ignoring spaces and punctuation,
+// so columns can be reordered or added without breaking the loaders.
+// Currency columns accept a symbol or ISO code ("£8", "USD 499", "450 EUR"), defaulting to pounds,
+// and record the currency in their currencyField.
+
+// Airports with their ISO country code ("GB" for UK bases), coordinates in decimal degrees and the fees of the
+// itemised cost model: a landing fee per arrival, a handling fee per flight at each end and a charge per departing passenger
+const AIRPORT_SCHEMA = {
+    name: "airports",
+    columns: [
+        { field: "code", header: "code", type: "string", required: true },
+        { field: "name", header: "full name", type: "string" },
+        { field: "country", header: "country", type: "string", required: true },
+        { field: "latitude", header: "latitude", type: "number", default: null },
+        { field: "longitude", header: "longitude", type: "number", default: null },
+        { field: "landingFee", header: "landing fee", type: "currency", currencyField: "landingFeeCurrency", default: 0 },
+        { field: "handlingFee", header: "handling fee", type: "currency", currencyField: "handlingFeeCurrency", default: 0 },
+        { field: "passengerCharge", header: "passenger charge", type: "currency", currencyField: "passengerChargeCurrency", default: 0 },
+    ],
+};
+
+// Route distances that take precedence over the great-circle distance between two airports, in either direction
+const ROUTE_SCHEMA = {
+    name: "routes",
+    columns: [
+        { field: "from", header: "From", type: "string", required: true },
+        { field: "to", header: "To", type: "string", required: true },
+        { field: "distance", header: "Distance (km)", type: "number", required: true },
+    ],
+};
+
+// Aircraft with the running cost per booked seat of the per-seat cost model and the block-hour, crew and
+// per-sector costs of the itemised model
+const AIRCRAFT_SCHEMA = {
+    name: "aircraft",
+    columns: [
+        { field: "type", header: "type", type: "string", required: true },
+        { field: "runningCostPerSeatPer100km", header: "runningcostperseatper100km", type: "currency", currencyField: "runningCostCurrency", required: true },
+        { field: "maxFlightRange", header: "maxflightrange(km)", type: "number", required: true },
+        { field: "economySeats", header: "economyseats", type: "integer", required: true },
+        { field: "businessSeats", header: "businessseats", type: "integer", default: 0 },
+        { field: "firstClassSeats", header: "firstclassseats", type: "integer", default: 0 },
+        { field: "premiumSeats", header: "premiumeconomyseats", type: "integer", default: 0 },
+        { field: "cruiseFuelBurn", header: "cruisefuelburn(kg/km)", type: "number", default: null },
+        { field: "ltoFuel", header: "ltofuel(kg)", type: "number", default: null },
+        { field: "costPerBlockHour", header: "costperblockhour", type: "currency", currencyField: "costPerBlockHourCurrency", default: 0 },
+        { field: "crewCostPerBlockHour", header: "crewcostperblockhour", type: "currency", currencyField: "crewCostPerBlockHourCurrency", default: 0 },
+        { field: "costPerSector", header: "costpersector", type: "currency", currencyField: "costPerSectorCurrency", default: 0 },
+    ],
+};
+
+// Flights with their bookings and fares per class; premium economy and the cabin layout (see CABIN_LAYOUT_SCHEMA) are optional
+const FLIGHT_SCHEMA = {
+    name: "flights",
+    columns: [
+        { field: "ukAirport", header: "UK airport", type: "string", required: true },
+        { field: "overseasAirport", header: "Overseas airport", type: "string", required: true },
+        { field: "aircraftType", header: "Type of aircraft", type: "string", required: true },
+        { field: "economySeats", header: "Number of economy seats booked", type: "integer", default: 0 },
+        { field: "businessSeats", header: "Number of business seats booked", type: "integer", default: 0 },
+        { field: "firstClassSeats", header: "Number of first class seats booked", type: "integer", default: 0 },
+        { field: "economyPrice", header: "Price of a economy class seat", type: "currency", currencyField: "economyPriceCurrency", default: 0 },
+        { field: "businessPrice", header: "Price of a business class seat", type: "currency", currencyField: "businessPriceCurrency", default: 0 },
+        { field: "firstClassPrice", header: "Price of a first class seat", type: "currency", currencyField: "firstClassPriceCurrency", default: 0 },
+        { field: "premiumSeats", header: "Number of premium economy seats booked", type: "integer", default: 0 },
+        { field: "premiumPrice", header: "Price of a premium economy seat", type: "currency", currencyField: "premiumPriceCurrency", default: 0 },
+        { field: "cabinLayout", header: "Cabin layout", type: "string", default: null },
+    ],
+};
+
+// Demand per route and cabin class; "linear" models lose Slope seats per unit of the reference price's currency above it,
+// "elasticity" models scale demand by (price / reference price) ^ Elasticity
+const DEMAND_SCHEMA = {
+    name: "demand",
+    columns: [
+        { field: "ukAirport", header: "UK airport", type: "string", required: true },
+        { field: "overseasAirport", header: "Overseas airport", type: "string", required: true },
+        { field: "cabinClass", header: "Class", type: "string", required: true },
+        { field: "model", header: "Model", type: "string", required: true },
+        { field: "referencePrice", header: "Reference price", type: "currency", currencyField: "referencePriceCurrency", required: true },
+        { field: "referenceDemand", header: "Reference demand", type: "number", required: true },
+        { field: "slope", header: "Slope", type: "number", default: 0 },
+        { field: "elasticity", header: "Elasticity", type: "number", default: -1 },
+        { field: "minPrice", header: "Min price", type: "currency", currencyField: "minPriceCurrency", default: 0 },
+        { field: "maxPrice", header: "Max price", type: "currency", currencyField: "maxPriceCurrency", default: null },
+    ],
+};
+
+// Number of aircraft of each type available for network assignment
+const FLEET_SCHEMA = {
+    name: "fleet",
+    columns: [
+        { field: "aircraftType", header: "Type of aircraft", type: "string", required: true },
+        { field: "count", header: "Count", type: "integer", required: true },
+    ],
+};
+
+// Aircraft in the fleet by tail number
+const TAIL_SCHEMA = {
+    name: "tails",
+    columns: [
+        { field: "tailNumber", header: "Tail number", type: "string", required: true },
+        { field: "aircraftType", header: "Type of aircraft", type: "string", required: true },
+    ],
+};
+
+// Weekly timetable of sectors; Days is "Daily" or day names such as "Mon Wed Fri", Departure is HH:MM
+const TIMETABLE_SCHEMA = {
+    name: "timetable",
+    columns: [
+        { field: "flightNumber", header: "Flight number", type: "string", required: true },
+        { field: "tailNumber", header: "Tail number", type: "string", required: true },
+        { field: "from", header: "From", type: "string", required: true },
+        { field: "to", header: "To", type: "string", required: true },
+        { field: "days", header: "Days", type: "string", required: true },
+        { field: "departure", header: "Departure", type: "string", required: true },
+    ],
+};
+
+// Overbooking policy per route and class: the share of bookings (0-1) that do not turn up,
+// and the compensation paid to each passenger denied boarding
+const OVERBOOKING_SCHEMA = {
+    name: "overbooking",
+    columns: [
+        { field: "ukAirport", header: "UK airport", type: "string", required: true },
+        { field: "overseasAirport", header: "Overseas airport", type: "string", required: true },
+        { field: "cabinClass", header: "Class", type: "string", required: true },
+        { field: "noShowRate", header: "No-show rate", type: "number", required: true },
+        { field: "compensation", header: "Denied boarding cost", type: "currency", currencyField: "compensationCurrency", default: 0 },
+    ],
+};
+
+// Booking distributions per route and class for the profit simulation: "normal" uses Mean and Std dev,
+// "poisson" uses Mean and "uniform" draws whole numbers from Min to Max
+const BOOKING_DISTRIBUTION_SCHEMA = {
+    name: "booking distributions",
+    columns: [
+        { field: "ukAirport", header: "UK airport", type: "string", required: true },
+        { field: "overseasAirport", header: "Overseas airport", type: "string", required: true },
+        { field: "cabinClass", header: "Class", type: "string", required: true },
+        { field: "distribution", header: "Distribution", type: "string", required: true },
+        { field: "mean", header: "Mean", type: "number", default: null },
+        { field: "stdDev", header: "Std dev", type: "number", default: null },
+        { field: "min", header: "Min", type: "integer", default: null },
+        { field: "max", header: "Max", type: "integer", default: null },
+    ],
+};
+
+// Named what-if scenarios, one change per row: Input is e.g. "running cost", "distance", "economy price" or "load",
+// Change is "+15%"/"-10%" to scale it or "=450" to set it (loads as a percentage of capacity)
+const SCENARIO_SCHEMA = {
+    name: "scenarios",
+    columns: [
+        { field: "scenario", header: "Scenario", type: "string", required: true },
+        { field: "input", header: "Input", type: "string", required: true },
+        { field: "change", header: "Change", type: "string", required: true },
+    ],
+};
+
+// Named cabin layouts per aircraft type, one row per layout and class: the seats fitted in the class and their pitch
+// in inches. Classes without a row have no seats in the layout
+const CABIN_LAYOUT_SCHEMA = {
+    name: "cabin layouts",
+    columns: [
+        { field: "aircraftType", header: "Type of aircraft", type: "string", required: true },
+        { field: "layout", header: "Layout", type: "string", required: true },
+        { field: "cabinClass", header: "Class", type: "string", required: true },
+        { field: "seats", header: "Seats", type: "integer", required: true },
+        { field: "seatPitch", header: "Seat pitch (in)", type: "number", default: null },
+    ],
+};
+
+// Exchange rates as the value of one unit of a currency in pounds, from an effective date (YYYY-MM-DD)
+const EXCHANGE_RATE_SCHEMA = {
+    name: "exchange rates",
+    columns: [
+        { field: "currency", header: "Currency", type: "string", required: true },
+        { field: "gbpPerUnit", header: "GBP per unit", type: "number", required: true },
+        { field: "effectiveDate", header: "Effective date", type: "string", required: true },
+    ],
+};
+
+// Cabin classes from lowest to highest, linking booked-seat and price fields on a flight to capacity fields on an
+// aircraft. Optional classes are left out of listings for flights and aircraft without them
+const CABIN_CLASSES = [
+    { name: "economy", label: "economy", seatsField: "economySeats", priceField: "economyPrice", currencyField: "economyPriceCurrency" },
+    { name: "premium", label: "premium economy", seatsField: "premiumSeats", priceField: "premiumPrice", currencyField: "premiumPriceCurrency", optional: true },
+    { name: "business", label: "business", seatsField: "businessSeats", priceField: "businessPrice", currencyField: "businessPriceCurrency" },
+    { name: "first", label: "first class", seatsField: "firstClassSeats", priceField: "firstClassPrice", currencyField: "firstClassPriceCurrency" },
+];
+
+module.exports = {
+    CABIN_CLASSES,
+    AIRPORT_SCHEMA,
+    ROUTE_SCHEMA,
+    AIRCRAFT_SCHEMA,
+    FLIGHT_SCHEMA,
+    DEMAND_SCHEMA,
+    FLEET_SCHEMA,
+    TAIL_SCHEMA,
+    TIMETABLE_SCHEMA,
+    OVERBOOKING_SCHEMA,
+    BOOKING_DISTRIBUTION_SCHEMA,
+    SCENARIO_SCHEMA,
+    CABIN_LAYOUT_SCHEMA,
+    EXCHANGE_RATE_SCHEMA,
+};
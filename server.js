@@ -0,0 +1,233 @@
+// Local HTTP API over the profit calculator, built on Node's http module alone.
+//   POST /flights/profit    one flight object, or an array of them, as JSON; responds with the results
+//   POST /flights/validate  the same input; responds with every rule each flight breaks
+//   GET  /airports          the loaded airports
+//   GET  /aircraft          the loaded aircraft
+// Errors are JSON of the form { error: { code, message, ... } } with a 4xx status. The data files are
+// checked before each request and reloaded when any has changed; if a reload fails the previous data stays in use.
+
+// Import required modules
+const fs = require("fs");
+const http = require("http");
+const { DEFAULT_CURRENCY, parseMoney } = require("./csv");
+const { FLIGHT_SCHEMA } = require("./schemas");
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Error codes for requests the API cannot handle; flight rule violations use the validator's ERROR_CODES
+const API_ERROR_CODES = {
+    NOT_FOUND: "NOT_FOUND",
+    METHOD_NOT_ALLOWED: "METHOD_NOT_ALLOWED",
+    INVALID_JSON: "INVALID_JSON",
+    INVALID_FLIGHT: "INVALID_FLIGHT",
+    PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+    DATA_UNAVAILABLE: "DATA_UNAVAILABLE",
+    INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// Error carrying the HTTP status and body to respond with
+class ApiError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Convert a flight object from a request into a flight record, with the same fields and defaults as a row of
+// the flights file. Prices may be numbers, in pounds unless the matching currency field (e.g. economyPriceCurrency)
+// is given, or strings with a currency such as "USD 499". Returns { flight } or { errors: [{ field, message }] }
+function flightFromJson(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        return { errors: [{ field: null, message: "Expected a flight object." }] };
+    }
+    const flight = {};
+    const errors = [];
+    for (const column of FLIGHT_SCHEMA.columns) {
+        const value = body[column.field];
+        if (value === undefined || value === null || value === "") {
+            if (column.required) errors.push({ field: column.field, message: `Missing value for "${column.field}".` });
+            flight[column.field] = column.default ?? null;
+            if (column.currencyField) flight[column.currencyField] = body[column.currencyField] || DEFAULT_CURRENCY;
+            continue;
+        }
+        if (column.type === "integer") {
+            if (!Number.isInteger(value)) errors.push({ field: column.field, message: `"${column.field}" must be a whole number.` });
+            flight[column.field] = value;
+        } else if (column.type === "currency") {
+            const money = typeof value === "number" ? { amount: value, currency: null } : typeof value === "string" ? parseMoney(value.trim()) : null;
+            if (!money) errors.push({ field: column.field, message: `"${column.field}" must be an amount such as 399 or "USD 499".` });
+            flight[column.field] = money ? money.amount : null;
+            flight[column.currencyField] = (money && money.currency) || body[column.currencyField] || DEFAULT_CURRENCY;
+        } else {
+            if (typeof value !== "string") errors.push({ field: column.field, message: `"${column.field}" must be a string.` });
+            flight[column.field] = String(value);
+        }
+    }
+    return errors.length > 0 ? { errors } : { flight };
+}
+
+// Convert a request body holding one flight or an array of flights into flight records; throws an ApiError
+// listing the fields at fault in every flight that cannot be read
+function flightsFromBody(body) {
+    const many = Array.isArray(body);
+    const parsed = (many ? body : [body]).map(flightFromJson);
+    const invalid = parsed.map((result, index) => ({ index, errors: result.errors })).filter(({ errors }) => errors);
+    if (invalid.length > 0) {
+        const message = many ? `${invalid.length} of ${parsed.length} flights could not be read.` : "The flight could not be read.";
+        throw new ApiError(400, API_ERROR_CODES.INVALID_FLIGHT, message, many ? { flights: invalid } : { fields: invalid[0].errors });
+    }
+    return { many, flights: parsed.map(({ flight }) => flight) };
+}
+
+// Read a request body as JSON
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, API_ERROR_CODES.PAYLOAD_TOO_LARGE, `Request bodies are limited to ${MAX_BODY_BYTES} bytes.`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+            } catch (err) {
+                reject(new ApiError(400, API_ERROR_CODES.INVALID_JSON, `Request body is not valid JSON: ${err.message}`));
+            }
+        });
+        request.on("error", reject);
+    });
+}
+
+// Structured error for a flight that breaks a rule or is priced in a currency without a rate
+function flightError(result) {
+    return { code: result.code, message: result.error, violations: result.violations };
+}
+
+// Class to serve the API, holding the calculator built from the data files
+class FlightApi {
+    // load: builds a FlightProfitCalculator from the data files, returning null if they cannot be loaded;
+    // files: the paths to watch for changes
+    constructor(load, files) {
+        this.load = load;
+        this.files = files.filter(Boolean);
+        this.calculator = null;
+        this.modified = null;
+        this.routes = {
+            "/flights/profit": { POST: (request) => this.profit(request) },
+            "/flights/validate": { POST: (request) => this.validate(request) },
+            "/airports": { GET: () => ({ status: 200, body: this.calculator.airports }) },
+            "/aircraft": { GET: () => ({ status: 200, body: this.calculator.aircrafts }) },
+        };
+    }
+
+    // Last modification time of each data file, joined into one key; a missing file counts as a change
+    modificationKey() {
+        return this.files
+            .map((file) => {
+                try {
+                    return fs.statSync(file).mtimeMs;
+                } catch (err) {
+                    return "missing";
+                }
+            })
+            .join(",");
+    }
+
+    // Load the data files if they have changed since the last load; returns whether a calculator is available
+    refresh() {
+        const modified = this.modificationKey();
+        if (modified === this.modified && this.calculator) return true;
+
+        const calculator = this.load();
+        if (calculator) {
+            if (this.calculator) console.log(`Reloaded data files: ${this.files.join(", ")}`);
+            this.calculator = calculator;
+        } else if (this.calculator) {
+            console.error("Error: Could not reload the changed data files; still serving the previous data.");
+        }
+        this.modified = modified;
+        return this.calculator !== null;
+    }
+
+    // POST /flights/profit: 200 with the result (or { results } for an array); 422 when any flight breaks a rule,
+    // with the results of the flights that succeeded and the error of each that failed
+    async profit(request) {
+        const { many, flights } = flightsFromBody(await readJsonBody(request));
+        const outcomes = flights.map((flight) => this.calculator.calculateProfit(flight));
+        if (!many) {
+            const [outcome] = outcomes;
+            return outcome.error ? { status: 422, body: { error: flightError(outcome) } } : { status: 200, body: outcome };
+        }
+        const results = outcomes.map((outcome, index) => ({ index, outcome })).filter(({ outcome }) => !outcome.error);
+        const failures = outcomes.map((outcome, index) => ({ index, outcome })).filter(({ outcome }) => outcome.error);
+        return {
+            status: failures.length > 0 ? 422 : 200,
+            body: {
+                results: results.map(({ index, outcome }) => ({ index, ...outcome })),
+                failures: failures.map(({ index, outcome }) => ({ index, error: flightError(outcome) })),
+            },
+        };
+    }
+
+    // POST /flights/validate: 200 with every violation of each flight (an array when an array was sent)
+    async validate(request) {
+        const { many, flights } = flightsFromBody(await readJsonBody(request));
+        const reports = flights.map((flight) => {
+            const prepared = this.calculator.prepareFlight(flight);
+            return { valid: !prepared.error, violations: prepared.error ? prepared.violations : [] };
+        });
+        return { status: 200, body: many ? reports : reports[0] };
+    }
+
+    // Handle one request, responding with JSON
+    async handle(request, response) {
+        let status;
+        let body;
+        const headers = { "Content-Type": "application/json; charset=utf-8" };
+        try {
+            const { pathname } = new URL(request.url, "http://localhost");
+            const route = this.routes[pathname.replace(/\/+$/, "") || "/"];
+            if (!route) throw new ApiError(404, API_ERROR_CODES.NOT_FOUND, `No endpoint at ${pathname}. Endpoints: ${Object.keys(this.routes).join(", ")}`);
+            const handler = route[request.method];
+            if (!handler) {
+                headers.Allow = Object.keys(route).join(", ");
+                throw new ApiError(405, API_ERROR_CODES.METHOD_NOT_ALLOWED, `${pathname} accepts ${headers.Allow} only.`);
+            }
+            if (!this.refresh()) throw new ApiError(503, API_ERROR_CODES.DATA_UNAVAILABLE, "The data files could not be loaded.");
+            ({ status, body } = await handler(request));
+        } catch (err) {
+            if (!(err instanceof ApiError)) {
+                console.error("Error handling request:", err.message);
+                err = new ApiError(500, API_ERROR_CODES.INTERNAL_ERROR, "The request could not be handled.");
+            }
+            status = err.status;
+            body = { error: { code: err.code, message: err.message, ...err.details } };
+        }
+        response.writeHead(status, headers);
+        response.end(JSON.stringify(body, null, 2) + "\n");
+    }
+}
+
+// Create an HTTP server for the API; returns null if the data files cannot be loaded at start
+function createApiServer(load, files) {
+    const api = new FlightApi(load, files);
+    if (!api.refresh()) return null;
+    return http.createServer((request, response) => api.handle(request, response));
+}
+
+module.exports = {
+    API_ERROR_CODES,
+    ApiError,
+    flightFromJson,
+    FlightApi,
+    createApiServer,
+};
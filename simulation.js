@@ -0,0 +1,180 @@
+// Monte Carlo simulation of profit risk. Bookings in each class are drawn from a distribution
+// configured per route and class, capped at the aircraft's capacity for that class, and every
+// trial is priced with FlightProfitCalculator.calculateProfit. Classes without a configured
+// distribution draw from a Poisson distribution around the flight's booked seats.
+// The random number generator is seeded, so the same seed always gives the same results.
+
+// Import required modules
+const { loadCsv } = require("./csv");
+const { CABIN_CLASSES, BOOKING_DISTRIBUTION_SCHEMA } = require("./schemas");
+const { formatMoney } = require("./currency");
+
+const DISTRIBUTIONS = ["normal", "poisson", "uniform"];
+const DEFAULT_TRIALS = 10000;
+const DEFAULT_SEED = 1;
+
+// Seedable pseudo-random generator (mulberry32) returning numbers in [0, 1)
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Standard normal draw (Box-Muller)
+function sampleStandardNormal(rng) {
+    const u = 1 - rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Poisson draw; large means use the normal approximation
+function samplePoisson(rng, mean) {
+    if (mean <= 0) return 0;
+    if (mean > 50) return Math.round(mean + Math.sqrt(mean) * sampleStandardNormal(rng));
+    const limit = Math.exp(-mean);
+    let count = 0;
+    for (let product = rng(); product > limit; product *= rng()) count++;
+    return count;
+}
+
+// Draw a whole number of bookings from a distribution, capped between 0 and the class capacity
+function sampleBookings(rng, distribution, capacity) {
+    let bookings;
+    if (distribution.distribution === "normal") {
+        bookings = Math.round(distribution.mean + distribution.stdDev * sampleStandardNormal(rng));
+    } else if (distribution.distribution === "uniform") {
+        bookings = distribution.min + Math.floor(rng() * (distribution.max - distribution.min + 1));
+    } else {
+        bookings = samplePoisson(rng, distribution.mean);
+    }
+    return Math.min(Math.max(bookings, 0), capacity);
+}
+
+// Reason a distribution row cannot be used, or null if it is valid
+function distributionProblem(row) {
+    if (!DISTRIBUTIONS.includes(row.distribution)) return `Unknown distribution "${row.distribution}". Available distributions: ${DISTRIBUTIONS.join(", ")}`;
+    if (!CABIN_CLASSES.some(({ name }) => name === row.cabinClass)) return `Unknown class "${row.cabinClass}". Available classes: ${CABIN_CLASSES.map(({ name }) => name).join(", ")}`;
+    if (row.distribution === "normal" && !(row.mean >= 0 && row.stdDev >= 0)) return "A normal distribution needs a Mean and a Std dev of at least 0.";
+    if (row.distribution === "poisson" && !(row.mean >= 0)) return "A poisson distribution needs a Mean of at least 0.";
+    if (row.distribution === "uniform" && !(Number.isInteger(row.min) && Number.isInteger(row.max) && row.min >= 0 && row.min <= row.max)) {
+        return "A uniform distribution needs whole-number Min and Max with 0 <= Min <= Max.";
+    }
+    return null;
+}
+
+// Load the booking distributions file; returns null if it cannot be loaded or any row is invalid
+function loadBookingDistributions(filename) {
+    const rows = loadCsv(filename, BOOKING_DISTRIBUTION_SCHEMA);
+    if (!rows) return null;
+
+    const distributions = rows.map((row) => ({ ...row, distribution: row.distribution.toLowerCase(), cabinClass: row.cabinClass.toLowerCase() }));
+    const problems = distributions.map((row) => ({ row, problem: distributionProblem(row) })).filter(({ problem }) => problem);
+    problems.forEach(({ row, problem }) => console.error(`${filename}: ${row.ukAirport} to ${row.overseasAirport} ${row.cabinClass}: ${problem}`));
+    return problems.length > 0 ? null : distributions;
+}
+
+// Distribution for each class of a flight, keyed by class name, falling back to Poisson around the booked seats
+function flightDistributions(flight, distributions) {
+    return Object.fromEntries(
+        CABIN_CLASSES.map(({ name, seatsField }) => {
+            const configured = distributions.find(
+                (row) =>
+                    row.ukAirport.toUpperCase() === flight.ukAirport.toUpperCase() &&
+                    row.overseasAirport.toUpperCase() === flight.overseasAirport.toUpperCase() &&
+                    row.cabinClass === name
+            );
+            return [name, configured || { distribution: "poisson", mean: flight[seatsField] }];
+        })
+    );
+}
+
+// Value at a percentile (0-100) of sorted values, interpolating between neighbours
+function percentile(sorted, p) {
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Simulate a flight's profit over many trials, reporting the distributions of the classes the aircraft has;
+// returns { flight, error } if the flight itself is invalid
+function simulateFlight(calculator, flight, distributions, { trials = DEFAULT_TRIALS, rng = createRng(DEFAULT_SEED) } = {}) {
+    const base = calculator.calculateProfit(flight);
+    if (base.error) return { flight, error: base.error };
+
+    const aircraft = calculator.aircraftFor(flight);
+    const byClass = flightDistributions(flight, distributions);
+    const profits = [];
+    for (let trial = 0; trial < trials; trial++) {
+        const trialFlight = { ...flight };
+        CABIN_CLASSES.forEach(({ name, seatsField }) => {
+            trialFlight[seatsField] = sampleBookings(rng, byClass[name], aircraft[seatsField]);
+        });
+        profits.push(calculator.calculateProfit(trialFlight).profit);
+    }
+
+    profits.sort((a, b) => a - b);
+    const mean = profits.reduce((sum, profit) => sum + profit, 0) / trials;
+    const variance = profits.reduce((sum, profit) => sum + (profit - mean) ** 2, 0) / trials;
+    return {
+        flight,
+        currency: base.currency,
+        trials,
+        distributions: Object.fromEntries(CABIN_CLASSES.filter(({ seatsField }) => aircraft[seatsField] > 0).map(({ name }) => [name, byClass[name]])),
+        expectedProfit: mean,
+        stdDev: Math.sqrt(variance),
+        p5: percentile(profits, 5),
+        p95: percentile(profits, 95),
+        probabilityOfLoss: profits.filter((profit) => profit < 0).length / trials,
+    };
+}
+
+// Simulate every flight with one seeded generator, in file order
+function simulateFlights(calculator, flights, distributions, { trials = DEFAULT_TRIALS, seed = DEFAULT_SEED } = {}) {
+    const rng = createRng(seed);
+    return flights.map((flight) => simulateFlight(calculator, flight, distributions, { trials, rng }));
+}
+
+// Describe a distribution as e.g. "normal(150, 20)"
+function describeDistribution(distribution) {
+    if (distribution.distribution === "normal") return `normal(${distribution.mean}, ${distribution.stdDev})`;
+    if (distribution.distribution === "uniform") return `uniform(${distribution.min}-${distribution.max})`;
+    return `poisson(${distribution.mean})`;
+}
+
+// Format simulation results as a plain-text report
+function formatSimulation(simulations) {
+    return simulations
+        .map((simulation) => {
+            const { flight } = simulation;
+            const title = `Flight from ${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+            if (simulation.error) return `${title}:\n  ${simulation.error}\n`;
+
+            const money = (amount) => formatMoney(amount, simulation.currency);
+            const bookings = CABIN_CLASSES.filter(({ name }) => simulation.distributions[name]).map(({ name }) => `${name} ${describeDistribution(simulation.distributions[name])}`).join(", ");
+            return (
+                `${title} (${simulation.trials} trials):\n` +
+                `  Bookings: ${bookings}\n` +
+                `  Expected profit: ${money(simulation.expectedProfit)}, Std dev: ${money(simulation.stdDev)}\n` +
+                `  P5: ${money(simulation.p5)}, P95: ${money(simulation.p95)}, Probability of loss: ${(simulation.probabilityOfLoss * 100).toFixed(2)}%\n`
+            );
+        })
+        .join("\n");
+}
+
+module.exports = {
+    DISTRIBUTIONS,
+    DEFAULT_TRIALS,
+    DEFAULT_SEED,
+    createRng,
+    sampleBookings,
+    loadBookingDistributions,
+    percentile,
+    simulateFlight,
+    simulateFlights,
+    formatSimulation,
+};
@@ -0,0 +1,138 @@
+// Streaming profit pipeline for flight files too large to hold in memory. The file is read line by line;
+// each row is parsed and run through the calculator as soon as it is read, and its result or error is handed
+// straight on to be written out. Only running totals per route, aircraft type and UK base are kept, so memory
+// use grows with the number of routes rather than the number of flights.
+
+// Import required modules
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { createRowSplitter, mapColumns, parseRow, formatCsvError, formatCsvRow } = require("./csv");
+const { FLIGHT_SCHEMA } = require("./schemas");
+const { ERROR_CODES } = require("./validation");
+const { costItems } = require("./costs");
+const { formatProfitResults } = require("./flights");
+const { csvResultHeadings, csvResultValues } = require("./reports");
+const { createSummaries, addToSummaries, finishSummaries, formatSummaries } = require("./summaries");
+
+// Formats results can be streamed in: what is written before the first result and for each result
+const STREAM_FORMATS = {
+    text: {
+        extensions: [".txt"],
+        header: () => "",
+        row: (result, index) => (index > 0 ? "\n" : "") + formatProfitResults([result]),
+    },
+    csv: {
+        extensions: [".csv"],
+        header: (costModel) => formatCsvRow(csvResultHeadings(costItems(costModel))) + "\n",
+        row: (result) => formatCsvRow(csvResultValues(result, costItems(result.costModel))) + "\n",
+    },
+    jsonl: {
+        extensions: [".jsonl", ".ndjson"],
+        header: () => "",
+        row: (result) => JSON.stringify(result) + "\n",
+    },
+};
+
+// Name of the stream format a file's extension suggests, or null if none matches
+function streamFormatForFile(filename) {
+    const extension = path.extname(filename || "").toLowerCase();
+    const match = Object.entries(STREAM_FORMATS).find(([, format]) => format.extensions.includes(extension));
+    return match ? match[0] : null;
+}
+
+// Read a CSV file one row at a time, yielding { line, fields, comment } for every row that is not blank or only
+// a comment, or { line, error } for a row whose quoted field never closes (see createRowSplitter). Lines may end in
+// LF or CRLF
+async function* readCsvRows(filename, delimiter = ",") {
+    const lines = readline.createInterface({ input: fs.createReadStream(filename, { encoding: "utf-8" }), crlfDelay: Infinity });
+    const splitter = createRowSplitter(delimiter);
+    let number = 0;
+    for await (const text of lines) {
+        number++;
+        yield* splitter.addLine(number, text);
+    }
+    yield* splitter.finish();
+}
+
+// Run every flight in a file through the calculator as it is read. handlers.result(result, line) and
+// handlers.failure({ line, flight, code, error }) are called in file order; any promise they return is awaited,
+// so slow output holds back reading. Resolves to { rows, calculated, failed, currency, summaries }, or null if the
+// file cannot be read or lacks a required column
+async function streamProfit(calculator, filename, handlers) {
+    const summary = { rows: 0, calculated: 0, failed: 0, currency: calculator.currency, summaries: createSummaries() };
+    let header = null;
+    let columns = null;
+    try {
+        for await (const row of readCsvRows(filename)) {
+            if (!header && !row.error) {
+                const mapped = mapColumns(row, FLIGHT_SCHEMA, filename);
+                if (mapped.errors.length > 0) {
+                    mapped.errors.forEach((error) => console.error(formatCsvError(error)));
+                    return null;
+                }
+                header = row;
+                columns = mapped.columns;
+                continue;
+            }
+
+            summary.rows++;
+            const parsed = row.error ? { record: null, errors: [row.error] } : parseRow(row, header, columns);
+            const outcome =
+                parsed.errors.length > 0
+                    ? { error: parsed.errors.join("; "), code: ERROR_CODES.MALFORMED_ROW }
+                    : calculator.calculateProfit(parsed.record);
+            if (parsed.record) addToSummaries(summary.summaries, parsed.record, outcome.error ? null : outcome, `line ${row.line}`);
+
+            if (outcome.error) {
+                summary.failed++;
+                await handlers.failure({ line: row.line, flight: parsed.record, code: outcome.code, error: outcome.error });
+            } else {
+                summary.calculated++;
+                await handlers.result(outcome, row.line);
+            }
+        }
+    } catch (err) {
+        console.error("Error streaming flights:", err.message);
+        return null;
+    }
+    if (!header) {
+        console.error(formatCsvError({ file: filename, line: 1, message: "File has no header row" }));
+        return null;
+    }
+    return summary;
+}
+
+// Write text to a stream; returns a promise that resolves once the stream has drained if its buffer is full,
+// and rejects if the stream has failed
+function writeChunk(stream, text) {
+    if (stream.errored) return Promise.reject(stream.errored);
+    if (text === "" || stream.write(text)) return null;
+    return new Promise((resolve, reject) => {
+        const settle = (err) => {
+            stream.off("drain", settle);
+            stream.off("error", settle);
+            if (err) reject(err);
+            else resolve();
+        };
+        stream.on("drain", settle);
+        stream.on("error", settle);
+    });
+}
+
+// Format the totals of a streamed run: the summaries by route, aircraft type and UK base, then the whole file
+function formatStreamSummary(summary) {
+    return (
+        formatSummaries(finishSummaries(summary.summaries, summary.currency), summary.currency) +
+        `\n${summary.rows} flights read, ${summary.calculated} calculated, ${summary.failed} failed`
+    );
+}
+
+module.exports = {
+    STREAM_FORMATS,
+    streamFormatForFile,
+    readCsvRows,
+    streamProfit,
+    writeChunk,
+    formatStreamSummary,
+};
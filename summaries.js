@@ -0,0 +1,157 @@
+// Summaries of profit results grouped by route (UK base to overseas airport), by aircraft type and by UK base.
+// Each group keeps running totals as flights are added, so a summary can be built from a list of results or
+// from a stream of them: the flights and failures counted, income, cost, profit and CO2, the booked and
+// available seats behind the weighted load factor, and the most and least profitable flight.
+
+// Import required modules
+const { formatCsvRow } = require("./csv");
+const { roundMoney, formatMoney } = require("./currency");
+const { CABIN_CLASSES } = require("./schemas");
+
+// Ways of grouping flights: the heading of each and the key a flight is grouped under
+const GROUPINGS = {
+    route: { heading: "By route", key: (flight) => `${String(flight.ukAirport).toUpperCase()} to ${String(flight.overseasAirport).toUpperCase()}` },
+    aircraft: { heading: "By aircraft type", key: (flight) => String(flight.aircraftType) },
+    base: { heading: "By UK base", key: (flight) => String(flight.ukAirport).toUpperCase() },
+};
+
+// Columns of the CSV summary: the heading and the value taken from a group
+const SUMMARY_COLUMNS = [
+    { heading: "Flights", value: (group) => group.flights },
+    { heading: "Failed", value: (group) => group.failed },
+    { heading: "Loss-making flights", value: (group) => group.lossMaking },
+    { heading: "Income", value: (group) => group.income },
+    { heading: "Cost", value: (group) => group.cost },
+    { heading: "Profit", value: (group) => group.profit },
+    { heading: "Load factor", value: (group) => group.loadFactor },
+    { heading: "Profit margin", value: (group) => group.profitMargin },
+    { heading: "CO2 (kg)", value: (group) => group.co2Emissions },
+    { heading: "Best flight", value: (group) => group.best && group.best.flight },
+    { heading: "Best flight reference", value: (group) => group.best && group.best.reference },
+    { heading: "Best profit", value: (group) => group.best && group.best.profit },
+    { heading: "Worst flight", value: (group) => group.worst && group.worst.flight },
+    { heading: "Worst flight reference", value: (group) => group.worst && group.worst.reference },
+    { heading: "Worst profit", value: (group) => group.worst && group.worst.profit },
+    { heading: "Every flight makes a loss", value: (group) => (group.allLossMaking ? "yes" : "no") },
+];
+
+// Round a percentage to 2 decimals, or null when it has no denominator
+function percentage(part, whole) {
+    return whole === 0 ? null : Math.round((part / whole) * 10000) / 100;
+}
+
+// Describe a flight as "MAN to JFK using Large narrow body"
+function flightLabel(flight) {
+    return `${flight.ukAirport} to ${flight.overseasAirport} using ${flight.aircraftType}`;
+}
+
+// Empty summaries for the chosen groupings, each a Map of group key to running totals
+function createSummaries(groupings = Object.keys(GROUPINGS)) {
+    return Object.fromEntries(groupings.map((name) => [name, new Map()]));
+}
+
+// Add a flight's outcome to its group in every grouping; result is null for a flight that could not be calculated.
+// reference tells the flight apart from others on the same route and aircraft, e.g. "line 7"
+function addToSummaries(summaries, flight, result, reference) {
+    for (const [name, groups] of Object.entries(summaries)) {
+        const key = GROUPINGS[name].key(flight);
+        if (!groups.has(key)) {
+            groups.set(key, { key, flights: 0, failed: 0, lossMaking: 0, income: 0, cost: 0, profit: 0, co2Emissions: 0, bookedSeats: 0, totalSeats: 0, best: null, worst: null });
+        }
+        const totals = groups.get(key);
+        if (!result) {
+            totals.failed++;
+            continue;
+        }
+        totals.flights++;
+        if (result.profit < 0) totals.lossMaking++;
+        totals.income += result.income;
+        totals.cost += result.cost;
+        totals.profit += result.profit;
+        totals.co2Emissions += result.co2Emissions;
+        totals.bookedSeats += CABIN_CLASSES.reduce((sum, { seatsField }) => sum + result[seatsField], 0);
+        totals.totalSeats += result.totalSeats;
+        const flightSummary = { flight: flightLabel(result), reference, profit: result.profit, profitMargin: result.profitMargin };
+        if (!totals.best || result.profit > totals.best.profit) totals.best = flightSummary;
+        if (!totals.worst || result.profit < totals.worst.profit) totals.worst = flightSummary;
+    }
+}
+
+// Finished groups of every grouping, sorted by key: the totals rounded to the currency, the load factor weighted
+// by seats and the margin weighted by income, and whether every flight calculated in the group makes a loss
+function finishSummaries(summaries, currency) {
+    return Object.fromEntries(
+        Object.entries(summaries).map(([name, groups]) => [
+            name,
+            [...groups.values()]
+                .sort((a, b) => a.key.localeCompare(b.key))
+                .map(({ bookedSeats, totalSeats, ...totals }) => ({
+                    ...totals,
+                    income: roundMoney(totals.income, currency),
+                    cost: roundMoney(totals.cost, currency),
+                    profit: roundMoney(totals.profit, currency),
+                    co2Emissions: Math.round(totals.co2Emissions * 100) / 100,
+                    loadFactor: percentage(bookedSeats, totalSeats),
+                    profitMargin: percentage(totals.profit, totals.income),
+                    allLossMaking: totals.flights > 0 && totals.lossMaking === totals.flights,
+                })),
+        ])
+    );
+}
+
+// Calculate every flight and summarise the outcomes by the chosen groupings: { summaries, failures }, where each
+// failure is { flight, ... } as from calculateFlights. Flights are referred to by their position in the list
+function summariseFlights(calculator, flights, groupings) {
+    const summaries = createSummaries(groupings);
+    const failures = [];
+    flights.forEach((flight, index) => {
+        const result = calculator.calculateProfit(flight);
+        if (result.error) failures.push({ flight, ...result });
+        addToSummaries(summaries, flight, result.error ? null : result, `flight ${index + 1}`);
+    });
+    return { summaries: finishSummaries(summaries, calculator.currency), failures };
+}
+
+// Format finished summaries as plain text, one block per grouping, ending with the routes where every flight makes a loss
+function formatSummaries(summaries, currency) {
+    const money = (amount) => formatMoney(amount, currency);
+    const percent = (value) => (value === null ? "N/A" : `${value.toFixed(2)}%`);
+    const blocks = Object.entries(summaries).map(([name, groups]) => {
+        const lines = groups.flatMap((group) => {
+            const failed = group.failed > 0 ? `, ${group.failed} failed` : "";
+            if (group.flights === 0) return [`  ${group.key}: 0 flights${failed}`];
+            return [
+                `  ${group.key}: ${group.flights} flights${failed}${group.allLossMaking ? " - every flight makes a loss" : ""}`,
+                `    Income: ${money(group.income)}, Cost: ${money(group.cost)}, Profit: ${money(group.profit)}`,
+                `    Load Factor: ${percent(group.loadFactor)}, Profit Margin: ${percent(group.profitMargin)}, CO2 Emissions: ${group.co2Emissions.toFixed(2)} kg`,
+                `    Best: ${group.best.flight}, ${group.best.reference} (${money(group.best.profit)}), ` +
+                    `Worst: ${group.worst.flight}, ${group.worst.reference} (${money(group.worst.profit)})`,
+            ];
+        });
+        return [`${GROUPINGS[name].heading}:`, ...lines].join("\n");
+    });
+    if (summaries.route) {
+        const lossMaking = summaries.route.filter((group) => group.allLossMaking).map((group) => group.key);
+        blocks.push(`Routes where every flight makes a loss: ${lossMaking.length > 0 ? lossMaking.join(", ") : "none"}`);
+    }
+    return blocks.join("\n\n") + "\n";
+}
+
+// Format finished summaries as CSV with one line per group and raw numbers
+function formatSummariesCsv(summaries, currency) {
+    const header = ["Grouping", "Group", ...SUMMARY_COLUMNS.map(({ heading }) => heading), "Currency"];
+    const rows = Object.entries(summaries).flatMap(([name, groups]) =>
+        groups.map((group) => formatCsvRow([name, group.key, ...SUMMARY_COLUMNS.map(({ value }) => value(group)), currency]))
+    );
+    return [formatCsvRow(header), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+    GROUPINGS,
+    createSummaries,
+    addToSummaries,
+    finishSummaries,
+    summariseFlights,
+    formatSummaries,
+    formatSummariesCsv,
+};
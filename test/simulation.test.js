@@ -0,0 +1,53 @@
+// Tests for the Monte Carlo simulation: the seeded generator must make runs repeatable, so the same seed gives
+// the same report and a different seed a different one. Run with "node --test" from the repository root.
+
+// Import required modules
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { FlightProfitCalculator, loadFlightData } = require("../flights");
+const { CurrencyConverter, loadExchangeRates } = require("../currency");
+const { createRng, loadBookingDistributions, simulateFlights, formatSimulation } = require("../simulation");
+
+const TRIALS = 500;
+
+// Path of a data file in the repository root
+function dataFile(name) {
+    return path.join(__dirname, "..", name);
+}
+
+// Simulate the sample flights with a seed, returning the simulations and the report they format to
+function runSimulation(seed) {
+    const data = loadFlightData(dataFile("valid_flight_data.csv"), dataFile("airports.csv"), dataFile("aeroplanes.csv"));
+    const distributions = loadBookingDistributions(dataFile("booking_distributions.csv"));
+    const rates = loadExchangeRates(dataFile("exchange_rates.csv"));
+    assert.ok(data && distributions && rates, "sample data files load");
+    const calculator = new FlightProfitCalculator(data.airports, data.aircrafts, { converter: new CurrencyConverter(rates) });
+    const simulations = simulateFlights(calculator, data.flights, distributions, { trials: TRIALS, seed });
+    assert.ok(simulations.some((simulation) => !simulation.error), "some sample flights can be simulated");
+    return { simulations, report: formatSimulation(simulations.filter((simulation) => !simulation.error)) };
+}
+
+test("createRng gives the same sequence for the same seed", () => {
+    const draws = (seed) => {
+        const rng = createRng(seed);
+        return Array.from({ length: 5 }, () => rng());
+    };
+    assert.deepStrictEqual(draws(42), draws(42));
+    assert.notDeepStrictEqual(draws(42), draws(43));
+    draws(42).forEach((value) => assert.ok(value >= 0 && value < 1));
+});
+
+test("a simulation run twice with the same seed gives identical results", () => {
+    const first = runSimulation(7);
+    const second = runSimulation(7);
+    assert.deepStrictEqual(second.simulations, first.simulations);
+    assert.strictEqual(second.report, first.report);
+});
+
+test("a different seed gives different results", () => {
+    const first = runSimulation(7);
+    const other = runSimulation(8);
+    assert.notDeepStrictEqual(other.simulations, first.simulations);
+    assert.notStrictEqual(other.report, first.report);
+});
@@ -0,0 +1,252 @@
+// Import required modules
+const fs = require("fs");
+const { readCsv, loadCsv, findRecord, formatCsvRow, formatCsvError } = require("./csv");
+const { AIRCRAFT_SCHEMA, FLIGHT_SCHEMA, CABIN_CLASSES } = require("./schemas");
+const { isUkAirport, ukAirports, getDistance, loadAirports } = require("./distances");
+const { loadCabinLayouts, findLayout, layoutsFor, applyLayout } = require("./cabins");
+const { CurrencyConverter, loadExchangeRates } = require("./currency");
+
+// Stable error codes reported by the validator
+const ERROR_CODES = {
+    MALFORMED_ROW: "MALFORMED_ROW",
+    INVALID_SEATS: "INVALID_SEATS",
+    INVALID_PRICE: "INVALID_PRICE",
+    UNKNOWN_UK_AIRPORT: "UNKNOWN_UK_AIRPORT",
+    UNKNOWN_AIRPORT: "UNKNOWN_AIRPORT",
+    UNKNOWN_DISTANCE: "UNKNOWN_DISTANCE",
+    UNKNOWN_AIRCRAFT: "UNKNOWN_AIRCRAFT",
+    UNKNOWN_LAYOUT: "UNKNOWN_LAYOUT",
+    OUT_OF_RANGE: "OUT_OF_RANGE",
+    CLASS_NOT_AVAILABLE: "CLASS_NOT_AVAILABLE",
+    CLASS_OVERBOOKED: "CLASS_OVERBOOKED",
+    TOTAL_OVERBOOKED: "TOTAL_OVERBOOKED",
+    UNKNOWN_CURRENCY: "UNKNOWN_CURRENCY",
+};
+
+// Patterns used to read the expected error out of a "# Error: ..." comment
+const EXPECTED_ERROR_PATTERNS = [
+    { pattern: /range/i, code: ERROR_CODES.OUT_OF_RANGE },
+    { pattern: /(?:doesn't|does not) have (economy|premium|business|first)/i, code: ERROR_CODES.CLASS_NOT_AVAILABLE },
+    { pattern: /too many total/i, code: ERROR_CODES.TOTAL_OVERBOOKED },
+    { pattern: /too many (economy|premium|business|first)/i, code: ERROR_CODES.CLASS_OVERBOOKED },
+    { pattern: /(?:invalid|unknown) uk airport/i, code: ERROR_CODES.UNKNOWN_UK_AIRPORT },
+    { pattern: /(?:invalid|unknown) (?:overseas )?airport/i, code: ERROR_CODES.UNKNOWN_AIRPORT },
+    { pattern: /no distance/i, code: ERROR_CODES.UNKNOWN_DISTANCE },
+    { pattern: /(?:invalid|unknown) aircraft/i, code: ERROR_CODES.UNKNOWN_AIRCRAFT },
+    { pattern: /(?:invalid|unknown) (?:cabin )?layout/i, code: ERROR_CODES.UNKNOWN_LAYOUT },
+    { pattern: /no exchange rate|(?:invalid|unknown) (?:(economy|premium|business|first) )?(?:price )?currency/i, code: ERROR_CODES.UNKNOWN_CURRENCY },
+    { pattern: /(?:invalid|non-numeric) (?:(economy|premium|business|first) )?(?:economy |class )?price/i, code: ERROR_CODES.INVALID_PRICE },
+    { pattern: /(?:invalid|non-numeric) (?:number of )?(?:(economy|premium|business|first) )?(?:economy |class )?seat/i, code: ERROR_CODES.INVALID_SEATS },
+];
+
+// Build a violation, keyed by code and (where relevant) cabin class for comparisons
+function violation(code, message, cabinClass = null) {
+    return { code, cabinClass, key: cabinClass ? `${code}:${cabinClass}` : code, message };
+}
+
+// Check one flight record against every rule, collecting all violations rather than stopping at the first.
+// Seats are checked against the cabin layout the flight names, from cabinLayouts, or else the aircraft's own seats.
+// With a currency converter, every price must be in a currency it has a rate for
+function validateFlight(flight, airports, aircrafts, cabinLayouts = [], converter = null) {
+    const violations = [];
+    const route = `Flight from ${flight.ukAirport} to ${flight.overseasAirport} by ${flight.aircraftType}`;
+
+    CABIN_CLASSES.forEach(({ name, label, seatsField, priceField, currencyField }) => {
+        const seats = flight[seatsField];
+        if (!Number.isInteger(seats) || seats < 0) {
+            violations.push(violation(ERROR_CODES.INVALID_SEATS, `${route}: Invalid number of ${label} seats booked: ${seats}.`, name));
+        }
+        const price = flight[priceField];
+        if (typeof price !== "number" || price < 0) {
+            violations.push(violation(ERROR_CODES.INVALID_PRICE, `${route}: Invalid ${label} price: ${price}.`, name));
+        }
+        const currency = flight[currencyField];
+        if (converter && currency && converter.rateFor(currency) === null) {
+            violations.push(violation(ERROR_CODES.UNKNOWN_CURRENCY, `${route}: Unknown ${label} price currency: ${currency}. ${converter.missingRateMessage(currency)}`, name));
+        }
+    });
+
+    const origin = findRecord(airports, "code", flight.ukAirport);
+    if (!isUkAirport(origin)) {
+        violations.push(violation(ERROR_CODES.UNKNOWN_UK_AIRPORT, `${route}: Invalid UK airport code: ${flight.ukAirport}. Available codes: ${ukAirports(airports).map((a) => a.code).join(", ")}`));
+    }
+    // UK bases are not destinations: every flight goes from a UK base to an overseas airport
+    const destination = findRecord(airports, "code", flight.overseasAirport);
+    const airport = isUkAirport(destination) ? null : destination;
+    if (!airport) {
+        violations.push(violation(ERROR_CODES.UNKNOWN_AIRPORT, `${route}: Invalid overseas airport code: ${flight.overseasAirport}. Available codes: ${airports.filter((a) => !isUkAirport(a)).map((a) => a.code).join(", ")}`));
+    }
+    const distance = isUkAirport(origin) && airport ? getDistance(airports, flight.ukAirport, flight.overseasAirport) : undefined;
+    if (isUkAirport(origin) && airport && distance === undefined) {
+        violations.push(violation(ERROR_CODES.UNKNOWN_DISTANCE, `${route}: No distance known. Add the route to the routes file or give both airports coordinates.`));
+    }
+
+    let aircraft = findRecord(aircrafts, "type", flight.aircraftType);
+    if (!aircraft) {
+        violations.push(violation(ERROR_CODES.UNKNOWN_AIRCRAFT, `${route}: Invalid aircraft type: ${flight.aircraftType}. Available aircraft body: ${aircrafts.map((a) => a.type).join(", ")}`));
+        return violations;
+    }
+    if (flight.cabinLayout) {
+        const layout = findLayout(cabinLayouts, aircraft.type, flight.cabinLayout);
+        if (!layout) {
+            const available = layoutsFor(cabinLayouts, aircraft.type).map(({ name }) => name);
+            violations.push(violation(ERROR_CODES.UNKNOWN_LAYOUT, `${route}: Invalid cabin layout: ${flight.cabinLayout}. Available layouts: ${available.join(", ") || "none"}`));
+            return violations;
+        }
+        aircraft = applyLayout(aircraft, layout);
+    }
+
+    if (distance !== undefined && distance > aircraft.maxFlightRange) {
+        violations.push(violation(ERROR_CODES.OUT_OF_RANGE, `${route}: Flight distance (${distance} km) exceeds maximum flight range of the aircraft (${aircraft.maxFlightRange} km).`));
+    }
+
+    let totalBooked = 0;
+    let totalSeats = 0;
+    CABIN_CLASSES.forEach(({ name, label, seatsField }) => {
+        const booked = flight[seatsField];
+        const capacity = aircraft[seatsField];
+        totalSeats += capacity;
+        if (!Number.isInteger(booked)) return;
+        totalBooked += booked;
+        if (booked > 0 && capacity === 0) {
+            violations.push(violation(ERROR_CODES.CLASS_NOT_AVAILABLE, `${route}: ${aircraft.type}${aircraft.cabinLayout ? ` (${aircraft.cabinLayout} layout)` : ""} does not have ${label} seats.`, name));
+        } else if (booked > capacity) {
+            violations.push(violation(ERROR_CODES.CLASS_OVERBOOKED, `${route}: Overbooking error for ${label}: ${booked} seats booked but aircraft only has ${capacity} ${label} seats.`, name));
+        }
+    });
+    if (totalBooked > totalSeats) {
+        violations.push(violation(ERROR_CODES.TOTAL_OVERBOOKED, `${route}: Overbooking error for total seats: ${totalBooked} seats booked but aircraft only has ${totalSeats} total seats.`));
+    }
+
+    return violations;
+}
+
+// Read the expected violation keys from a "# Error: ..." comment; a key without a cabin class, such as
+// INVALID_PRICE for "Non-numeric price", stands for that code in any class
+function parseExpectedErrors(comment) {
+    if (!comment) return [];
+    const text = comment.replace(/^error:\s*/i, "");
+    const match = EXPECTED_ERROR_PATTERNS.find(({ pattern }) => pattern.test(text));
+    if (!match) return [];
+    const cabinClass = text.match(match.pattern)[1];
+    return [cabinClass ? `${match.code}:${cabinClass.toLowerCase()}` : match.code];
+}
+
+// Whether a violation is the one an expected key names
+function matchesExpected(v, key) {
+    return v.key === key || v.code === key;
+}
+
+// Validate every row of a flight file, returning a report or null if the data files cannot be loaded. Prices are
+// checked against the latest rates in ratesFile when one is given
+function validateFlightFile(flightsFile, airportsFile, aircraftsFile, routesFile = null, cabinsFile = null, ratesFile = null) {
+    const airports = loadAirports(airportsFile, routesFile);
+    const aircrafts = loadCsv(aircraftsFile, AIRCRAFT_SCHEMA);
+    const cabinLayouts = !aircrafts ? null : cabinsFile ? loadCabinLayouts(cabinsFile, aircrafts) : [];
+    const rates = ratesFile ? loadExchangeRates(ratesFile) : [];
+    const parsed = readCsv(flightsFile, FLIGHT_SCHEMA);
+    if (!airports || !aircrafts || !cabinLayouts || !rates || !parsed) {
+        console.error("Error: Could not load necessary data files.");
+        return null;
+    }
+
+    // Errors that belong to no data row: a missing column or header fails the whole file, and any other is
+    // reported as a malformed row of its own
+    const rowLines = new Set(parsed.rows.map(({ line }) => line));
+    const fileErrors = parsed.errors.filter(({ line }) => !rowLines.has(line));
+    if (parsed.rows.length === 0 && fileErrors.length > 0) {
+        fileErrors.forEach((error) => console.error(formatCsvError(error)));
+        console.error("Error: Could not load necessary data files.");
+        return null;
+    }
+    const converter = ratesFile ? new CurrencyConverter(rates) : null;
+    const parsedRows = [...fileErrors.map(({ line, message }) => ({ line, comment: null, record: null, errors: [message] })), ...parsed.rows].sort((x, y) => x.line - y.line);
+
+    const rows = parsedRows.map(({ line, comment, record, errors }) => {
+        const violations = record
+            ? validateFlight(record, airports, aircrafts, cabinLayouts, converter)
+            : errors.map((message) => violation(ERROR_CODES.MALFORMED_ROW, message));
+        const expected = parseExpectedErrors(comment);
+        return {
+            line,
+            flight: record,
+            violations,
+            comment,
+            expected,
+            missing: expected.filter((key) => !violations.some((v) => matchesExpected(v, key))),
+            unexpected: expected.length > 0 ? violations.filter((v) => !expected.some((key) => matchesExpected(v, key))).map((v) => v.key) : [],
+        };
+    });
+
+    return {
+        file: flightsFile,
+        summary: {
+            rows: rows.length,
+            rowsWithViolations: rows.filter((row) => row.violations.length > 0).length,
+            violations: rows.reduce((count, row) => count + row.violations.length, 0),
+            rowsWithExpectations: rows.filter((row) => row.expected.length > 0).length,
+            expectationMismatches: rows.filter((row) => row.missing.length > 0).length,
+        },
+        rows,
+    };
+}
+
+// Render a report as CSV with one line per violation
+function formatValidationCsv(report) {
+    const header = ["file", "line", "ukAirport", "overseasAirport", "aircraftType", "code", "cabinClass", "message", "expected"];
+    const lines = report.rows.flatMap((row) =>
+        row.violations.map((v) =>
+            formatCsvRow([
+                report.file,
+                row.line,
+                row.flight && row.flight.ukAirport,
+                row.flight && row.flight.overseasAirport,
+                row.flight && row.flight.aircraftType,
+                v.code,
+                v.cabinClass,
+                v.message,
+                row.expected.some((key) => matchesExpected(v, key)) ? "yes" : "no",
+            ])
+        )
+    );
+    return [formatCsvRow(header), ...lines].join("\n") + "\n";
+}
+
+// Write a report as JSON and/or CSV; returns false if either file cannot be written
+function writeValidationReport(report, jsonFile, csvFile) {
+    try {
+        if (jsonFile) {
+            fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2) + "\n", { encoding: "utf-8" });
+            console.log(`Validation report written to ${jsonFile}`);
+        }
+        if (csvFile) {
+            fs.writeFileSync(csvFile, formatValidationCsv(report), { encoding: "utf-8" });
+            console.log(`Validation report written to ${csvFile}`);
+        }
+    } catch (err) {
+        console.error("Error writing file:", err.message);
+        return false;
+    }
+    return true;
+}
+
+// Log the rows whose violations do not include the error their comment expects
+function logExpectationMismatches(report) {
+    report.rows
+        .filter((row) => row.missing.length > 0)
+        .forEach((row) => {
+            const found = row.violations.map((v) => v.key).join(", ") || "none";
+            console.error(`${report.file}:${row.line}: expected ${row.missing.join(", ")} but found ${found}`);
+        });
+}
+
+module.exports = {
+    ERROR_CODES,
+    violation,
+    validateFlight,
+    parseExpectedErrors,
+    validateFlightFile,
+    formatValidationCsv,
+    writeValidationReport,
+    logExpectationMismatches,
+};